@@ -1,51 +1,51 @@
 // ============================================================
 // MTG Arena Deck Builder — App Logic
 // ============================================================
+// Pool filtering, prompts, parsing, validation and stats live in
+// lib/deck-core.mjs (shared with the CLI); this file wires them to the page.
+import * as core from './lib/deck-core.mjs';
+import {
+  R2_BASE, FORMAT_CONFIG, COLOR_MODES, DECK_RULES, MAX_REPAIR_ATTEMPTS, DECK_RESPONSE_FORMAT, DECK_CHANGES_FORMAT, DEFAULT_PROMPT_BUDGET,
+  ARCHETYPE_PROFILES, CURVE_BUCKETS, WUBRG,
+  buildSystemPrompt, buildDeckPrompt, buildMetaCheckPrompt, indexCardPool, deckColorIdentity,
+  importedDeck, formatDeckText, computeDeckStats, isLandCard, parseManaCost, manaSourceColors, canPayWithLands,
+} from './lib/deck-core.mjs';
 
 const API_PROXY_URL = '/api/chat';
+const MODELS_URL    = '/api/models';
 
-const FORMAT_CONFIG = {
-  standard: { displayName: 'Standard'  },
-  historic:  { displayName: 'Historic'  },
-  explorer:  { displayName: 'Explorer'  },
-  alchemy:   { displayName: 'Alchemy'   },
-};
-
-function buildSystemPrompt(formatName) {
-  return `You are an expert Magic: The Gathering deck builder specializing in MTG Arena ${formatName} format.
-
-IMPORTANT RULES:
-1. You MUST ONLY use cards from the provided card list. Do NOT invent or hallucinate card names.
-2. Every card you include MUST appear exactly as named in the provided list.
-3. A ${formatName} deck must contain exactly 60 cards in the main deck.
-4. For Best-of-3, include a 15-card sideboard.
-5. You may include up to 4 copies of any non-basic-land card.
-6. Basic lands (Plains, Island, Swamp, Mountain, Forest) have no copy limit.
-
-OUTPUT FORMAT — output the deck list in this exact MTG Arena import format with nothing else outside of it for the deck portion:
-
-Deck
-4 Card Name
-3 Another Card
-...
-
-Sideboard
-2 Sideboard Card
-...
-
-After the deck list, include a brief explanation of the deck strategy and key card choices.`;
-}
+const COLLECTION_STORAGE_KEY = 'arenaForge.collection';
+const LIBRARY_STORAGE_KEY    = 'arenaForge.library';
+const SESSION_STORAGE_KEY    = 'arenaForge.session';
+const WILDCARD_RARITIES = ['common', 'uncommon', 'rare', 'mythic'];
 
 // ============================================================
 // State
 // ============================================================
-let cardNames = [];
-let cardDataMap = {};
+let cardPool = indexCardPool('standard', []); // { format, names, cards, index } — see indexCardPool
 let selectedColors = new Set();
+let splashColors = new Set(); // Splash colors in "splash" color mode; never also in selectedColors
 let selectedCardPool = 'standard';
+let selectedCommander = null; // Commander name in singleton (Brawl) pools; its color identity drives selectedColors
 let currentDeckText = '';
+let currentDeck = null;        // Parsed { deck, sideboard, commander, companion } behind currentDeckText
 let cardIdMap = {};
-let metaDataCache = {}; // Keyed by format slug; null means fetch was attempted but no file found
+let cardNameToId = {};
+let collection = {};          // Normalized card key → owned copies (see collectionKey)
+let library = [];             // Saved decks, each { id, name, createdAt, updatedAt, versions[] }
+let currentLibraryDeckId = null; // Library deck that new redo results are added to
+let cardConstraints = { include: {}, exclude: new Set() }; // Pinned name → copies; banned names
+let activeRequest = null;     // AbortController for the in-flight /api/chat call
+let metaDataCache = {}; // Keyed by format slug: { meta, errors }; meta is null when the file is missing or invalid
+let currentPoolRecord = null; // Cached pool record behind cardPool: { format, cards, version, updatedAt, fetchedAt }
+let pendingPoolUpdate = null; // Newer pool record downloaded in the background, not yet applied
+let deckVariants = [];        // Side-by-side candidates: { model, temperature, label, parsed, report, scores, error, picks }
+let variantContext = null;    // { archetype, instructions } of the request behind deckVariants
+let conversationHistory = []; // Messages behind follow-ups: system, card list, opening deck, then condensed turns
+let refineTranscript = [];    // Chat-style log under Refine the Deck: { role: 'user'|'assistant'|'note', text, changes }
+let sideboardGuide = null;    // { deckText, meta, createdAt, matchups } for the open deck — see buildSideboardGuide
+let sessionRequestTimes = []; // Start times (ms) of this tab's /api/chat calls, for requestsLeft()
+let limitedPool = null;       // { counts, pairs } while building from a sealed or draft pool; counts is name → copies opened
 
 // ============================================================
 // DOM Elements
@@ -57,18 +57,74 @@ const strategyDisplay = $('#strategy-display');
 const redoInput      = $('#redo-input');
 const redoBtn        = $('#redo-btn');
 const redoSection    = $('#redo-section');
+const refineTranscriptEl = $('#refine-transcript');
 const deckOutput     = $('#deck-output');
 const sideboardOutput    = $('#sideboard-output');
 const sideboardContainer = $('#sideboard-container');
+const deckEditorTools = $('#deck-editor-tools');
+const addCardInput   = $('#add-card-input');
+const addCardOptions = $('#add-card-options');
+const addCardSection = $('#add-card-section');
+const saveEditsBtn   = $('#save-edits-btn');
+const cardDetails    = $('#card-details');
+const variantCountSelect = $('#variant-count');
+const variantMix     = $('#variant-mix');
+const variantsSection = $('#variants-section');
+const variantsList   = $('#variants-list');
+const mergeVariantsBtn = $('#merge-variants-btn');
 const copyDeckBtn    = $('#copy-deck');
 const copyStatus     = $('#copy-status');
+const exportFormat   = $('#export-format');
+const exportBtn      = $('#export-btn');
 const deckStats      = $('#deck-stats');
 const statsContent   = $('#stats-content');
 const loadingOverlay = $('#loading-overlay');
 const loadingText    = $('#loading-text');
 const cardPoolSelect = $('#card-pool');
+const colorPicker    = $('#color-picker');
+const colorModeSelect = $('#color-mode');
+const colorModeHint  = $('#color-mode-hint');
+const commanderGroup = $('#commander-group');
+const commanderInput = $('#commander-input');
+const commanderOptions = $('#commander-options');
+const commanderStatus  = $('#commander-status');
 const formatSelect   = $('#format');
 const checkMetaBtn   = $('#check-meta-btn');
+const legalityReport = $('#legality-report');
+const importInput    = $('#import-input');
+const importBtn      = $('#import-btn');
+const importReport   = $('#import-report');
+const limitedInput   = $('#limited-input');
+const limitedStatus  = $('#limited-status');
+const limitedPairs   = $('#limited-pairs');
+const limitedSuggestBtn = $('#limited-suggest-btn');
+const collectionInput  = $('#collection-input');
+const collectionFile   = $('#collection-file');
+const collectionStatus = $('#collection-status');
+const collectionMode   = $('#collection-mode');
+const wildcardBudget   = $('#wildcard-budget');
+const reduceWildcardsBtn = $('#reduce-wildcards-btn');
+const sideboardGuideBtn = $('#sideboard-guide-btn');
+const guideSection   = $('#guide-section');
+const guideStatus    = $('#guide-status');
+const guideOutput    = $('#guide-output');
+const streamToggle   = $('#stream-toggle');
+const streamStatus   = $('#stream-status');
+const streamStatusText = $('#stream-status-text');
+const libraryList    = $('#library-list');
+const goldfishPanel  = $('#goldfish-panel');
+const goldfishResults = $('#goldfish-results');
+const modelToggle    = $('#model-toggle');
+const promptSize     = $('#prompt-size');
+const browserResults = $('#browser-results');
+const constraintList = $('#constraint-list');
+const manaSection    = $('#mana-section');
+const metaSection    = $('#meta-section');
+const metaMatchups   = $('#meta-matchups');
+const manaAnalysis   = $('#mana-analysis');
+const rolesSection   = $('#roles-section');
+const roleAnalysis   = $('#role-analysis');
+const cardDataStatus = $('#card-data-status');
 
 // ============================================================
 // Init
@@ -76,43 +132,330 @@ const checkMetaBtn   = $('#check-meta-btn');
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
+  registerServiceWorker();
+  loadCollection();
+  loadLibrary();
   showLoading('Channeling the card database...');
-  await loadCardsForFormat(selectedCardPool);
+  await Promise.all([loadCardsForFormat(selectedCardPool), loadModelList()]);
   hideLoading();
   setupEventListeners();
+  renderCardBrowser();
+  renderConstraints();
+  renderLimitedPool();
+  await loadSharedDeck();
 }
 
-const R2_BASE = 'https://pub-9c2e386e89c24c7aa6cf29cc251d7a69.r2.dev';
+// The worker keeps the app shell available offline (card pools live in IndexedDB)
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+}
 
 // ============================================================
-// Card Loading
+// Card Loading — pools are cached in IndexedDB and checked against
+// cards-manifest.json (published by the update-cards workflow)
 // ============================================================
+const CARD_DB_NAME    = 'arenaForge';
+const CARD_POOL_STORE = 'cardPools';
+const CARD_MANIFEST_URL = `${R2_BASE}/cards-manifest.json`;
+
 async function loadCardsForFormat(format) {
-  const cfg = FORMAT_CONFIG[format];
+  const cfg    = FORMAT_CONFIG[format];
+  const cached = await readCachedPool(format);
+  pendingPoolUpdate = null;
+
+  if (cached) {
+    applyCardPool(cached);
+    checkForPoolUpdate(format, cached);
+    return;
+  }
+
   try {
-    const response = await fetch(`${R2_BASE}/cards-${format}.json`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const cards = await response.json();
-
-    cardNames = [];
-    cardDataMap = {};
-    for (const card of cards) {
-      cardNames.push(card.name);
-      cardDataMap[card.name] = {
-        colorIdentity: card.color_identity,
-        typeLine:      card.type_line,
-        manaCost:      card.mana_cost,
-        cmc:           card.cmc,
-        rarity:        card.rarity,
-        oracleText:    card.oracle_text,
-        keywords:      card.keywords,
-        setName:       card.set_name,
-      };
-    }
-    console.log(`Loaded ${cardNames.length} cards for ${cfg.displayName}`);
+    const record = await downloadCardPool(format, await fetchLatestPoolVersion(format));
+    await writeCachedPool(record);
+    applyCardPool(record);
   } catch (err) {
     console.error('Card load error:', err);
-    alert(`Failed to load the ${cfg.displayName} card pool. Check your connection and try again.`);
+    renderCardDataStatus({ error: `Couldn't load the ${cfg.displayName} card pool. Check your connection and try again.` });
+  }
+}
+
+function applyCardPool(record) {
+  cardPool = indexCardPool(record.format, record.cards);
+  currentPoolRecord = record;
+  renderCardDataStatus();
+  console.log(`Loaded ${cardPool.names.length} cards for ${FORMAT_CONFIG[record.format].displayName}`);
+}
+
+// Background check after a cached load. A newer file is downloaded and
+// cached right away but only swapped in when the user asks.
+async function checkForPoolUpdate(format, cached) {
+  try {
+    const latest = await fetchLatestPoolVersion(format);
+    if (!latest?.version || latest.version === cached.version) return;
+
+    const record = await downloadCardPool(format, latest);
+    await writeCachedPool(record);
+    if (selectedCardPool === format) {
+      pendingPoolUpdate = record;
+      renderCardDataStatus();
+    }
+  } catch (err) {
+    console.warn('Card update check failed:', err);
+  }
+}
+
+function applyPoolUpdate() {
+  if (!pendingPoolUpdate) return;
+  applyCardPool(pendingPoolUpdate);
+  pendingPoolUpdate = null;
+  renderCardDataStatus();
+  pruneConstraintsToPool();
+  renderCardBrowser();
+}
+
+// { version, updatedAt } from the manifest, falling back to the file's
+// Last-Modified header when the manifest is missing. Null when offline.
+async function fetchLatestPoolVersion(format) {
+  try {
+    const response = await fetch(CARD_MANIFEST_URL, { cache: 'no-store' });
+    if (response.ok) {
+      const entry = (await response.json()).formats?.[format];
+      if (entry) return { version: entry.version, updatedAt: entry.updated_at };
+    }
+    const head = await fetch(`${R2_BASE}/cards-${format}.json`, { method: 'HEAD', cache: 'no-store' });
+    const lastModified = head.ok && head.headers.get('Last-Modified');
+    return lastModified ? { version: lastModified, updatedAt: new Date(lastModified).toISOString() } : null;
+  } catch {
+    return null;
+  }
+}
+
+async function downloadCardPool(format, latest) {
+  const response = await fetch(`${R2_BASE}/cards-${format}.json`, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const cards = await response.json();
+  const lastModified = response.headers.get('Last-Modified');
+  const now = new Date().toISOString();
+  return {
+    format,
+    cards,
+    version:   latest?.version || lastModified || now,
+    updatedAt: latest?.updatedAt || (lastModified ? new Date(lastModified).toISOString() : now),
+    fetchedAt: now,
+  };
+}
+
+function openCardDb() {
+  if (!('indexedDB' in window)) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const request = indexedDB.open(CARD_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(CARD_POOL_STORE, { keyPath: 'format' });
+    request.onsuccess = () => resolve(request.result);
+    // Private browsing can refuse IndexedDB — fall back to network-only loading
+    request.onerror = () => resolve(null);
+  });
+}
+
+async function readCachedPool(format) {
+  const db = await openCardDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const request = db.transaction(CARD_POOL_STORE).objectStore(CARD_POOL_STORE).get(format);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror   = () => resolve(null);
+  });
+}
+
+async function writeCachedPool(record) {
+  const db = await openCardDb();
+  if (!db) return;
+  await new Promise((resolve) => {
+    const tx = db.transaction(CARD_POOL_STORE, 'readwrite');
+    tx.objectStore(CARD_POOL_STORE).put(record);
+    tx.oncomplete = resolve;
+    tx.onerror = () => {
+      console.warn('Card cache write failed:', tx.error);
+      resolve();
+    };
+  });
+}
+
+// Other formats whose cached card data has each of `rawNames`, as
+// rawName → [format]. Only cached pools are read, so nothing is downloaded.
+async function findInCachedPools(rawNames) {
+  const found = {};
+  if (rawNames.length === 0) return found;
+  for (const format of Object.keys(FORMAT_CONFIG)) {
+    if (format === selectedCardPool) continue;
+    const record = await readCachedPool(format);
+    if (!record) continue;
+    const pool = indexCardPool(format, record.cards);
+    for (const rawName of rawNames) {
+      if (core.resolveCardName(pool, rawName)) (found[rawName] ||= []).push(format);
+    }
+  }
+  return found;
+}
+
+function formatDataDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderCardDataStatus({ error } = {}) {
+  cardDataStatus.innerHTML = '';
+  cardDataStatus.classList.toggle('error', Boolean(error));
+
+  const text = document.createElement('span');
+  const action = document.createElement('button');
+  action.type = 'button';
+  action.className = 'btn-library';
+
+  if (error) {
+    text.textContent = error;
+    action.textContent = 'Retry';
+    action.addEventListener('click', () => switchCardPool(selectedCardPool));
+  } else if (pendingPoolUpdate) {
+    text.textContent = `New cards available (data as of ${formatDataDate(pendingPoolUpdate.updatedAt)}).`;
+    action.textContent = 'Load them';
+    action.addEventListener('click', applyPoolUpdate);
+  } else if (currentPoolRecord) {
+    text.textContent = `Card data as of ${formatDataDate(currentPoolRecord.updatedAt)}`;
+  }
+
+  cardDataStatus.appendChild(text);
+  if (action.textContent) cardDataStatus.appendChild(action);
+  cardDataStatus.classList.toggle('hidden', !text.textContent);
+}
+
+async function switchCardPool(format) {
+  selectedCardPool = format;
+  cardPoolSelect.value = format;
+  showLoading(`Loading ${FORMAT_CONFIG[selectedCardPool].displayName} card pool...`);
+  await loadCardsForFormat(selectedCardPool);
+  hideLoading();
+  pruneConstraintsToPool();
+  renderCardBrowser();
+  updateCommanderPicker();
+  // A Limited pool was resolved against the old card data
+  if (limitedPool) setLimitedPool(null);
+  // The conversation's card IDs point into the old pool
+  resetConversation();
+}
+
+// ============================================================
+// Commander — Brawl formats build around one picked up front
+// ============================================================
+const COMMANDER_SUGGESTIONS = 25;
+const COMMANDER_HINT = "Colors follow the commander's color identity.";
+
+function isSingletonPool() {
+  return core.deckRules(selectedCardPool).singleton === true;
+}
+
+// Brawl is Best of 1 only, and its colors are locked to the commander's
+function updateCommanderPicker() {
+  const singleton = isSingletonPool();
+  commanderGroup.classList.toggle('hidden', !singleton);
+  colorPicker.classList.toggle('locked', singleton);
+  formatSelect.disabled = singleton;
+  colorModeSelect.disabled = singleton;
+  if (singleton) {
+    formatSelect.value = 'bo1';
+    colorModeSelect.value = 'subset';
+    updateColorMode();
+  }
+
+  // A commander from the previous pool may not be legal in this one
+  const card = selectedCommander && cardPool.cards[selectedCommander];
+  if (!singleton || !card) {
+    selectedCommander = null;
+    commanderInput.value = '';
+    showCommanderStatus(COMMANDER_HINT);
+  }
+}
+
+function updateCommanderSuggestions() {
+  commanderInput.setCustomValidity('');
+  const query = commanderInput.value.trim().toLowerCase();
+  commanderOptions.innerHTML = '';
+  if (query.length < 2) return;
+
+  const candidates = core.commanderCandidates(cardPool);
+  const starts   = candidates.filter(n => n.toLowerCase().startsWith(query));
+  const contains = candidates.filter(n => !n.toLowerCase().startsWith(query) && n.toLowerCase().includes(query));
+  for (const name of [...starts, ...contains].slice(0, COMMANDER_SUGGESTIONS)) {
+    const option = document.createElement('option');
+    option.value = name;
+    commanderOptions.appendChild(option);
+  }
+}
+
+// Picks the commander and takes its color identity as the color selection.
+// An empty name clears the pick and leaves the colors alone. Returns false
+// when `rawName` isn't a legal commander in the pool.
+function setCommander(rawName) {
+  const trimmed = rawName.trim();
+  if (!trimmed) {
+    selectedCommander = null;
+    commanderInput.value = '';
+    showCommanderStatus(COMMANDER_HINT);
+    return true;
+  }
+
+  const name = resolveCardName(trimmed);
+  const card = name && cardPool.cards[name];
+  if (!card || !core.isCommanderCandidate(card)) {
+    showCommanderStatus(`"${trimmed}" is not a legendary creature or planeswalker in the ${FORMAT_CONFIG[selectedCardPool].displayName} card pool.`, true);
+    return false;
+  }
+
+  selectedCommander = name;
+  commanderInput.value = name;
+  setSelectedColors(core.commanderColors(card));
+  const identity = card.colorIdentity.map(c => core.COLOR_NAMES[c]).join(', ') || 'Colorless';
+  showCommanderStatus(`Color identity: ${identity}.`);
+  return true;
+}
+
+// Decks opened from an import, a share link or the library bring their own
+// commander (or none) into the picker
+function adoptDeckCommander(parsed) {
+  if (!isSingletonPool()) return;
+  if (!setCommander(parsed.commander?.[0]?.name || '')) selectedCommander = null;
+}
+
+function showCommanderStatus(text, isError = false) {
+  commanderStatus.textContent = text;
+  commanderStatus.classList.toggle('error', isError);
+}
+
+// ============================================================
+// Model List — built from the proxy's allowlist
+// ============================================================
+async function loadModelList() {
+  try {
+    const response = await fetch(MODELS_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { models, default: defaultModel } = await response.json();
+
+    modelToggle.innerHTML = '';
+    if (models.length === 0) {
+      modelToggle.innerHTML = '<span class="model-empty">No models are configured on the server.</span>';
+      return;
+    }
+    for (const model of models) {
+      const btn = document.createElement('button');
+      btn.className = `model-btn${model.id === defaultModel ? ' active' : ''}`;
+      btn.dataset.model = model.id;
+      btn.dataset.provider = model.provider;
+      btn.title = model.provider;
+      btn.textContent = model.label;
+      modelToggle.appendChild(btn);
+    }
+  } catch (err) {
+    console.error('Model list error:', err);
+    modelToggle.innerHTML = '<span class="model-empty">Could not load the model list.</span>';
   }
 }
 
@@ -123,35 +466,34 @@ function setupEventListeners() {
   // Color buttons
   document.querySelectorAll('.color-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-      const color = btn.dataset.color;
-      if (selectedColors.has(color)) {
-        selectedColors.delete(color);
-        btn.classList.remove('selected');
-      } else {
-        selectedColors.add(color);
-        btn.classList.add('selected');
-      }
+      // Brawl colors come from the commander
+      if (isSingletonPool()) return;
+      toggleColor(btn.dataset.color);
     });
   });
+  colorModeSelect.addEventListener('change', updateColorMode);
 
   // Arena format change — reload card list
-  cardPoolSelect.addEventListener('change', async () => {
-    selectedCardPool = cardPoolSelect.value;
-    showLoading(`Loading ${FORMAT_CONFIG[selectedCardPool].displayName} card pool...`);
-    await loadCardsForFormat(selectedCardPool);
-    hideLoading();
-  });
+  cardPoolSelect.addEventListener('change', () => switchCardPool(cardPoolSelect.value));
+
+  // Commander picker (Brawl formats)
+  commanderInput.addEventListener('input', updateCommanderSuggestions);
+  commanderInput.addEventListener('change', () => setCommander(commanderInput.value));
 
   // Model toggle
-  document.querySelectorAll('.model-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.model-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-    });
+  modelToggle.addEventListener('click', (e) => {
+    const btn = e.target.closest('.model-btn');
+    if (!btn) return;
+    modelToggle.querySelectorAll('.model-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
   });
 
   // Generate
   generateBtn.addEventListener('click', () => generateDeck());
+  // Role targets follow the archetype
+  $('#archetype').addEventListener('change', () => {
+    if (currentDeck) renderRoleAnalysis(currentDeck);
+  });
 
   // Redo
   redoBtn.addEventListener('click', redoDeck);
@@ -164,383 +506,3177 @@ function setupEventListeners() {
 
   // Copy deck
   copyDeckBtn.addEventListener('click', copyDeckToClipboard);
+  exportBtn.addEventListener('click', exportDeck);
+
+  // Deck editor
+  for (const list of [deckOutput, sideboardOutput]) {
+    list.addEventListener('click', handleEditorClick);
+    list.addEventListener('mouseover', (e) => {
+      const name = e.target.closest('.editor-name');
+      if (name && !cardDetails.dataset.pinned) showCardDetails(name.closest('.editor-row').dataset.name, name);
+    });
+    list.addEventListener('mouseout', (e) => {
+      if (e.target.closest('.editor-name') && !cardDetails.dataset.pinned) hideCardDetails();
+    });
+  }
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.editor-name') && !cardDetails.contains(e.target)) hideCardDetails();
+  });
+  addCardInput.addEventListener('input', updateAddCardSuggestions);
+  addCardInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addCardFromPicker();
+  });
+  $('#add-card-btn').addEventListener('click', addCardFromPicker);
+  saveEditsBtn.addEventListener('click', saveDeckEdits);
+
+  // Variants
+  variantsList.addEventListener('click', handleVariantsClick);
+  mergeVariantsBtn.addEventListener('click', mergeVariantPicks);
 
   // Meta check
   checkMetaBtn.addEventListener('click', checkMetaFit);
+  sideboardGuideBtn.addEventListener('click', buildSideboardGuide);
+  $('#guide-print-btn').addEventListener('click', printSideboardGuide);
+  $('#guide-download-btn').addEventListener('click', downloadSideboardGuide);
+
+  // Import
+  importBtn.addEventListener('click', importArenaDeck);
+
+  // Limited pool
+  $('#limited-load-btn').addEventListener('click', loadLimitedPool);
+  $('#limited-clear-btn').addEventListener('click', clearLimitedPool);
+  limitedSuggestBtn.addEventListener('click', suggestColorPairs);
+  limitedPairs.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-pair]');
+    if (btn) buildColorPair(btn.dataset.pair);
+  });
+
+  // Collection
+  $('#collection-save-btn').addEventListener('click', () => saveCollection(collectionInput.value));
+  $('#collection-clear-btn').addEventListener('click', clearCollection);
+  collectionFile.addEventListener('change', async () => {
+    const file = collectionFile.files[0];
+    if (!file) return;
+    saveCollection(await file.text());
+    collectionFile.value = '';
+  });
+  collectionMode.addEventListener('change', () => {
+    wildcardBudget.classList.toggle('hidden', collectionMode.value !== 'wildcards');
+  });
+  reduceWildcardsBtn.addEventListener('click', reduceWildcards);
+
+  // Card pool browser
+  document.querySelectorAll('.browser-filter').forEach(el => el.addEventListener('input', renderCardBrowser));
+
+  // Goldfish simulator
+  $('#goldfish-run-btn').addEventListener('click', runGoldfish);
+
+  // Cancel generation
+  document.querySelectorAll('.btn-cancel').forEach(btn => btn.addEventListener('click', cancelGeneration));
+}
+
+// ============================================================
+// Color modes — at most, exactly, or main colors plus a splash
+// ============================================================
+// The color options shared by filtering, prompts and validation
+function colorRequest() {
+  const colorMode = colorModeSelect.value;
+  return {
+    colors:    selectedColors,
+    colorMode,
+    splash:    colorMode === 'splash' ? Array.from(splashColors) : [],
+  };
+}
+
+// In splash mode a selected color turns into a splash on the next click,
+// then off; colorless can't be splashed
+function toggleColor(color) {
+  const splashing = colorModeSelect.value === 'splash' && color !== 'C';
+  if (selectedColors.has(color)) {
+    selectedColors.delete(color);
+    if (splashing) splashColors.add(color);
+  } else if (splashColors.has(color)) {
+    splashColors.delete(color);
+  } else {
+    selectedColors.add(color);
+  }
+  renderColorButtons();
+}
+
+function updateColorMode() {
+  const splashing = colorModeSelect.value === 'splash';
+  if (!splashing) splashColors.clear();
+  colorModeHint.classList.toggle('hidden', !splashing);
+  renderColorButtons();
+}
+
+function renderColorButtons() {
+  document.querySelectorAll('.color-btn').forEach(btn => {
+    btn.classList.toggle('selected', selectedColors.has(btn.dataset.color));
+    btn.classList.toggle('splash', splashColors.has(btn.dataset.color));
+  });
 }
 
 // ============================================================
 // Build card list for the prompt — filtered by selected colors
 // ============================================================
 function getFilteredCardList() {
-  const colors = Array.from(selectedColors);
-  const wantColorless = colors.includes('C');
-  const wubrg = colors.filter(c => c !== 'C');
-
-  return cardNames.filter(name => {
-    const card = cardDataMap[name];
-    const ci = card.colorIdentity;
-
-    if (card.typeLine.includes('Basic Land')) return true;
-    if (wubrg.length === 0 && !wantColorless) return true;
-    if (ci.length === 0) return wantColorless || wubrg.length === 0;
-    return ci.every(c => wubrg.includes(c));
+  const ownedOnly = collectionMode.value === 'owned';
+  const allow = limitedPool ? (name, card) => card.typeLine.includes('Basic Land') || limitedPool.counts[name] > 0
+    : ownedOnly ? (name, card) => card.typeLine.includes('Basic Land') || ownedCount(name) > 0
+    : null;
+  return core.filterCardPool(cardPool, {
+    colors:  selectedColors,
+    splash:  colorRequest().splash,
+    include: cardConstraints.include,
+    exclude: cardConstraints.exclude,
+    allow,
   });
 }
 
+function fitsSelectedColors(card) {
+  return core.fitsColorRequest(card, selectedColors, colorRequest().splash, { identity: isSingletonPool() });
+}
+
 function buildCardListText(filteredNames) {
-  cardIdMap = {};
-  const nameToId = {};
-  filteredNames.forEach((name, i) => {
-    const id = `C${i + 1}`;
-    cardIdMap[id] = name;
-    nameToId[name] = id;
-  });
+  const list = core.buildCardList(cardPool, filteredNames, cardLineNote);
+  cardIdMap    = list.idMap;
+  cardNameToId = list.nameToId;
+  return list.text;
+}
 
-  const groups = {};
-  for (const name of filteredNames) {
-    const card = cardDataMap[name];
-    let baseType = 'Other';
-    const tl = card.typeLine;
-    if (tl.includes('Creature'))      baseType = 'Creature';
-    else if (tl.includes('Instant'))  baseType = 'Instant';
-    else if (tl.includes('Sorcery'))  baseType = 'Sorcery';
-    else if (tl.includes('Enchantment')) baseType = 'Enchantment';
-    else if (tl.includes('Artifact')) baseType = 'Artifact';
-    else if (tl.includes('Planeswalker')) baseType = 'Planeswalker';
-    else if (tl.includes('Land'))     baseType = 'Land';
-    else if (tl.includes('Battle'))   baseType = 'Battle';
+// Copies in the Limited pool, or rarity and owned copies once a collection
+// has been imported
+function cardLineNote(name, card) {
+  if (limitedPool) return core.limitedLineNote(limitedPool.counts)(name);
+  return Object.keys(collection).length > 0 && !card.typeLine.includes('Basic Land')
+    ? ` | ${card.rarity}, own ${ownedCount(name)}`
+    : '';
+}
 
-    if (!groups[baseType]) groups[baseType] = [];
-    groups[baseType].push(name);
-  }
+// ============================================================
+// Prompt shortlist — relevance-ranked cards within a token budget
+// ============================================================
+function selectPromptShortlist(filteredNames, options) {
+  return core.selectPromptShortlist(cardPool, filteredNames, {
+    ...options,
+    colors:   selectedColors,
+    pinned:   [...Object.keys(cardConstraints.include), ...(selectedCommander ? [selectedCommander] : [])],
+    lineNote: cardLineNote,
+  });
+}
 
-  const typeOrder = ['Creature', 'Instant', 'Sorcery', 'Enchantment', 'Artifact', 'Planeswalker', 'Battle', 'Land', 'Other'];
-  let text = '';
-  for (const type of typeOrder) {
-    if (!groups[type]?.length) continue;
-    text += `\n--- ${type}s (${groups[type].length}) ---\n`;
-    for (const name of groups[type]) {
-      const c = cardDataMap[name];
-      const oracle = c.oracleText ? ` | ${c.oracleText.replace(/\n/g, ' ')}` : '';
-      text += `${nameToId[name]} | ${c.manaCost} | ${c.typeLine}${oracle}\n`;
-    }
-  }
-  return text;
+function getPromptBudget() {
+  const value = parseInt($('#prompt-budget').value, 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_PROMPT_BUDGET;
+}
+
+// The proxy rejects requests over core.MAX_MESSAGE_CHARS, so say so up front
+function checkPromptSize(messages) {
+  const chars = core.messageChars(messages);
+  if (chars <= core.MAX_MESSAGE_CHARS) return true;
+  showError(`This prompt is ${chars.toLocaleString()} characters and the server accepts ${core.MAX_MESSAGE_CHARS.toLocaleString()}. Lower the Card List Budget (0 sends every card) or narrow the colors.`);
+  return false;
 }
 
 // ============================================================
 // Generate Deck
 // ============================================================
-async function generateDeck(redoNote = '') {
+async function generateDeck() {
+  if (!limitedPool && isSingletonPool() && !selectedCommander) {
+    showError(`Pick a commander for your ${FORMAT_CONFIG[selectedCardPool].displayName} deck.`);
+    return;
+  }
   if (selectedColors.size === 0) {
     showError('Please select at least one color.');
     return;
   }
+  if (colorModeSelect.value === 'splash' && splashColors.size === 0) {
+    showError('Mark a splash color: click a selected color again to turn it into a splash.');
+    return;
+  }
   hideError();
   checkMetaBtn.classList.add('hidden');
+  // A new card list reassigns the short IDs the conversation refers to
+  resetConversation();
 
   const archetype   = $('#archetype').value;
   const matchFormat = formatSelect.value;
   const cfg         = FORMAT_CONFIG[selectedCardPool];
   const extraInstructions = $('#extra-instructions').value.trim();
-  const colorNames  = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green', C: 'Colorless' };
-  const colorStr    = Array.from(selectedColors).map(c => colorNames[c]).join(', ');
 
   const filteredNames = getFilteredCardList();
-  const cardListText  = buildCardListText(filteredNames);
-
-  let combinedInstructions = extraInstructions;
-  if (redoNote) {
-    combinedInstructions = combinedInstructions
-      ? `${combinedInstructions}\n\nMODIFICATION: ${redoNote}`
-      : `MODIFICATION: ${redoNote}`;
-  }
+  const shortlist     = selectPromptShortlist(filteredNames, {
+    archetype,
+    instructions: extraInstructions,
+    budget:       getPromptBudget(),
+  });
+  const cardListText  = buildCardListText(shortlist.names);
+  promptSize.textContent = `Sent ${shortlist.names.length.toLocaleString()} of ${filteredNames.length.toLocaleString()} cards (~${shortlist.tokens.toLocaleString()} tokens)`;
+  promptSize.classList.remove('hidden');
+
+  const userPrompt = buildDeckPrompt({
+    formatName:   limitedPool ? 'Limited' : cfg.displayName,
+    archetype,
+    ...colorRequest(),
+    bo3:          !limitedPool && matchFormat === 'bo3',
+    cardListText,
+    trimmed:      shortlist.trimmed,
+    constraints:  (limitedPool ? '' : buildCollectionConstraintText()) + buildCardConstraintText(),
+    instructions: extraInstructions,
+    commander:    selectedCommander && cardNameToId[selectedCommander],
+    rules:        currentDeckRules(),
+  });
 
-  const userPrompt = `Build me a ${cfg.displayName}-legal MTG Arena ${archetype} deck in ${colorStr}.
-Match Format: ${matchFormat === 'bo1' ? 'Best of 1 (no sideboard needed)' : 'Best of 3 (include a 15-card sideboard)'}.
+  const messages = [
+    { role: 'system', content: deckSystemPrompt() },
+    { role: 'user',   content: userPrompt },
+  ];
+  if (!checkPromptSize(messages)) return;
 
-Here are ALL the legal ${cfg.displayName} cards you may choose from (you MUST only use cards from this list):
-${cardListText}
+  const variantCount = parseInt(variantCountSelect.value, 10) || 1;
+  if (variantCount > 1) {
+    await generateVariants(messages, variantCount, { archetype, instructions: extraInstructions });
+    return;
+  }
 
-${combinedInstructions ? `Additional instructions: ${combinedInstructions}` : ''}
+  const parsed = await callChatGPT(messages, { repair: true, structured: true });
 
-Remember: each card above is identified by an ID (e.g., C42). Use those IDs — not card names — in the deck list output. Format:
+  if (parsed) {
+    conversationHistory = [...messages, { role: 'assistant', content: deckTurnSummary(parsed) }];
+    recordDeckVersion(parsed, {
+      archetype,
+      instructions: extraInstructions,
+      redoNote:     '',
+      source:       limitedPool ? 'limited' : 'generated',
+    }, { newDeck: true });
+  }
+}
 
-Deck
-4 C42
-3 C107
-...
+function formatDeckForPrompt(parsed) {
+  return core.formatDeckForPrompt(parsed, cardNameToId);
+}
 
-After the deck list, explain the strategy using the card names (which you know from the oracle text context).`;
+// Limited rules while a sealed or draft pool is loaded, the card pool's otherwise
+function currentDeckRules() {
+  return limitedPool ? core.LIMITED_RULES : core.deckRules(selectedCardPool);
+}
 
-  await callChatGPT([
-    { role: 'system', content: buildSystemPrompt(cfg.displayName) },
-    { role: 'user',   content: userPrompt },
-  ]);
+function deckSystemPrompt() {
+  return limitedPool
+    ? core.buildLimitedSystemPrompt()
+    : buildSystemPrompt(FORMAT_CONFIG[selectedCardPool].displayName, core.deckRules(selectedCardPool));
 }
 
 // ============================================================
-// Redo — re-runs the full generation with a modification note
+// Refine — follow-up turns that edit the current deck
 // ============================================================
+// Tokens allowed for follow-up turns on top of the system prompt, card list
+// and opening deck; older turns are dropped first
+const CONVERSATION_TOKEN_BUDGET = 6000;
+// Leave room under the proxy's message limit for a turn and its repairs
+const CONVERSATION_MAX_MESSAGES = core.MAX_MESSAGES - 1 - 2 * MAX_REPAIR_ATTEMPTS;
+const CONVERSATION_OPENING = 3;
+
 async function redoDeck() {
   const note = redoInput.value.trim();
+  if (!note) return;
   redoInput.value = '';
-  await generateDeck(note);
+  await refineDeck(note);
 }
 
-// ============================================================
-// API Call
-// ============================================================
-async function callChatGPT(messages) {
-  generateBtn.disabled  = true;
-  redoBtn.disabled      = true;
-  redoInput.disabled    = true;
-  checkMetaBtn.disabled = true;
-  showLoading('The Oracle is conjuring your deck...');
+// Sends `note` as a follow-up in the deck's conversation and applies the
+// change list the model answers with to currentDeck
+async function refineDeck(note) {
+  if (!currentDeck) return;
+  hideError();
+  const opening = conversationHistory.length === 0;
+  if (opening) beginConversation(note);
+
+  // IDs for cards new to the conversation go on copies and are only kept
+  // once the turn succeeds, so a failed turn can't leave undefined IDs
+  const idMap    = { ...cardIdMap };
+  const nameToId = { ...cardNameToId };
+  const newCards = core.appendCardIds(cardPool, deckCardNames(currentDeck), idMap, nameToId, cardLineNote);
+  const userTurn = {
+    role: 'user',
+    content: core.buildFollowUpPrompt({
+      deck:     core.formatDeckForPrompt(currentDeck, nameToId),
+      request:  note,
+      newCards,
+      rules:    currentDeckRules(),
+    }),
+  };
+  const { messages, dropped } = core.trimConversation([...conversationHistory, userTurn], {
+    keep:        CONVERSATION_OPENING,
+    maxTokens:   CONVERSATION_TOKEN_BUDGET,
+    maxMessages: CONVERSATION_MAX_MESSAGES,
+  });
+  if (!checkPromptSize(messages)) {
+    // Start over next time, so a lower budget takes effect
+    if (opening) conversationHistory = [];
+    return;
+  }
+  if (dropped > 0) {
+    refineTranscript.push({ role: 'note', text: `Earlier turns dropped to stay within the token budget (${dropped} messages).` });
+  }
+  conversationHistory = messages.slice(0, -1);
+  refineTranscript.push({ role: 'user', text: note });
+  renderTranscript();
+
+  // Repair turns add their changes on top of the previous turn's result
+  let base = currentDeck;
+  const applied = [];
+  const parse = (text) => {
+    const result = core.parseDeckChanges(text, idMap);
+    if (!result.changes) return { deck: null, schemaErrors: result.schemaErrors };
+    const { deck, skipped } = core.applyDeckChanges(base, result.changes);
+    base = limitedPool ? core.limitedSideboard(deck, limitedPool.counts) : deck;
+    applied.push({ ...result, skipped });
+    return base;
+  };
+
+  activeRequest = new AbortController();
+  const { signal } = activeRequest;
+  setBusy(true);
+  showProgress('The Oracle is weighing your changes...', false);
 
   try {
-    const response = await fetch(API_PROXY_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: document.querySelector('.model-btn.active')?.dataset.model || 'gpt-5.4',
-        messages,
-        temperature: 0.7,
-        max_completion_tokens: 4000,
-      }),
+    const { parsed, report } = await requestValidatedDeck(messages, {
+      repair:         true,
+      parse,
+      responseFormat: DECK_CHANGES_FORMAT,
+      signal,
+      repairPrompt:   (result) => core.buildRepairPrompt(result, nameToId, { changes: true }),
+      onRepair:       (attempt) => showProgress(`Repairing deck legality (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS})...`, false),
     });
 
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      throw new Error(errData.error?.message || `API error: ${response.status}`);
+    if (!parsed.deck) {
+      refineTranscript.push({ role: 'note', text: `The reply wasn't a change list:\n${parsed.schemaErrors.join('\n')}` });
+      return;
     }
 
-    const data = await response.json();
-    const assistantMessage = data.choices[0].message.content;
+    const changes = applied.flatMap(a => a.changes);
+    const skipped = applied.flatMap(a => a.skipped);
+    const reply   = applied.map(a => a.reply).filter(Boolean).join('\n\n');
+    refineTranscript.push({
+      role:    'assistant',
+      text:    reply || 'No changes.',
+      changes: [
+        ...changes.map(core.formatDeckChange),
+        ...skipped.map(c => `Skipped: ${c.message}`),
+        ...(report.valid ? [] : [`Still not legal — ${report.violations.length} issue${report.violations.length === 1 ? '' : 's'}`]),
+      ],
+    });
+    // The new card lines also join the opening card list, which is never
+    // trimmed, so later turns can still resolve their IDs
+    cardIdMap    = idMap;
+    cardNameToId = nameToId;
+    if (newCards) {
+      const [system, intro, ...rest] = conversationHistory;
+      conversationHistory = [system, { ...intro, content: `${intro.content}\n\nCards added since:\n${newCards}` }, ...rest];
+    }
+    conversationHistory.push(userTurn, {
+      role: 'assistant',
+      content: `${changes.length ? `Applied: ${changes.map(core.formatDeckChange).join(', ')}` : 'No changes.'}\n${reply}`,
+    });
 
-    const parsed = parseDeckList(assistantMessage);
-    if (parsed.deck) {
-      displayDeck(parsed);
-      displayStrategy(parsed.explanation || 'Deck generated! Check the Deck Manifest panel.');
-      redoSection.classList.remove('hidden');
-      checkMetaBtn.classList.remove('hidden');
+    displayDeck(parsed, report);
+    recordDeckVersion(parsed, {
+      archetype:    $('#archetype').value,
+      instructions: $('#extra-instructions').value.trim(),
+      redoNote:     note,
+      source:       'redo',
+    }, { newDeck: !currentLibraryDeckId });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      refineTranscript.push({ role: 'note', text: 'Cancelled.' });
     } else {
-      displayStrategy(assistantMessage);
+      refineTranscript.push({ role: 'note', text: `Error: ${err.message}` });
+      if (err.code && err.code !== 'upstream_error') showError(err.message);
+      console.error('API error:', err);
     }
-  } catch (err) {
-    displayStrategy(`Error: ${err.message}`);
-    console.error('API error:', err);
   } finally {
-    hideLoading();
-    generateBtn.disabled  = false;
-    redoBtn.disabled      = false;
-    redoInput.disabled    = false;
-    checkMetaBtn.disabled = false;
+    activeRequest = null;
+    hideProgress();
+    setBusy(false);
+    renderTranscript();
     redoInput.focus();
   }
 }
 
-// ============================================================
-// Parse deck list from response
-// ============================================================
-function parseDeckList(text) {
-  const lines = text.split('\n');
-  let deck = [], sideboard = [];
-  let currentSection = null;
-  let explanation = [];
-  let pastDeck = false;
+// For decks that didn't come from a generation in this session: a card list
+// to draw from (the deck's own cards always included) and the deck itself
+function beginConversation(note) {
+  const cfg = FORMAT_CONFIG[selectedCardPool];
+  const archetype = $('#archetype').value;
+  const shortlist = selectPromptShortlist(getFilteredCardList(), {
+    archetype,
+    instructions: [$('#extra-instructions').value.trim(), note].filter(Boolean).join(' '),
+    budget:       getPromptBudget(),
+    keep:         deckCardNames(currentDeck),
+  });
+  const cardListText = buildCardListText(shortlist.names);
+
+  conversationHistory = [
+    { role: 'system', content: deckSystemPrompt() },
+    {
+      role: 'user',
+      content: core.buildRefinementIntro({
+        formatName:  limitedPool ? 'Limited' : cfg.displayName,
+        archetype,
+        cardListText,
+        trimmed:     shortlist.trimmed,
+        constraints: (limitedPool ? '' : buildCollectionConstraintText()) + buildCardConstraintText(),
+      }),
+    },
+    { role: 'assistant', content: deckTurnSummary(currentDeck) },
+  ];
+}
 
-  for (const line of lines) {
-    const trimmed = line.trim();
+// The opening deck as the assistant turn of a conversation
+function deckTurnSummary(parsed) {
+  const strategy = parsed.explanation ? `\n\nStrategy: ${parsed.explanation.split('\n\nCard choices:')[0]}` : '';
+  return `${formatDeckForPrompt(parsed)}${strategy}`;
+}
 
-    if (/^deck$/i.test(trimmed))      { currentSection = 'deck';      continue; }
-    if (/^sideboard$/i.test(trimmed)) { currentSection = 'sideboard'; continue; }
+function deckCardNames(parsed) {
+  return [...(parsed.commander || []), ...parsed.deck, ...(parsed.sideboard || [])].map(e => e.name);
+}
 
-    const match = trimmed.match(/^(\d+)x?\s+(.+)$/);
-    if (match && currentSection) {
-      const count = parseInt(match[1], 10);
-      const name  = cardIdMap[match[2].trim()] || match[2].trim();
-      if (currentSection === 'deck') deck.push({ count, name });
-      else sideboard.push({ count, name });
-      continue;
-    }
+// Called whenever currentDeck is replaced by something other than a follow-up
+function resetConversation() {
+  conversationHistory = [];
+  refineTranscript = [];
+  renderTranscript();
+}
 
-    if (deck.length > 0 && !match && trimmed && currentSection !== 'sideboard') {
-      if (!/^[-=]+$/.test(trimmed)) pastDeck = true;
+function renderTranscript() {
+  refineTranscriptEl.innerHTML = '';
+  refineTranscriptEl.classList.toggle('hidden', refineTranscript.length === 0);
+  for (const entry of refineTranscript) {
+    const message = document.createElement('div');
+    message.className = `transcript-message ${entry.role}`;
+    const text = document.createElement('p');
+    text.textContent = entry.text;
+    message.appendChild(text);
+    if (entry.changes?.length) {
+      const list = document.createElement('ul');
+      list.className = 'transcript-changes';
+      for (const change of entry.changes) {
+        const li = document.createElement('li');
+        li.textContent = change;
+        list.appendChild(li);
+      }
+      message.appendChild(list);
     }
-    if (pastDeck && trimmed) explanation.push(trimmed);
+    refineTranscriptEl.appendChild(message);
   }
-
-  if (deck.length === 0) return { deck: null };
-  return { deck, sideboard: sideboard.length > 0 ? sideboard : null, explanation: explanation.join('\n') };
+  refineTranscriptEl.scrollTop = refineTranscriptEl.scrollHeight;
 }
 
 // ============================================================
-// Display deck
+// Variants — several generations scored and compared side by side
 // ============================================================
-function displayDeck(parsed) {
-  let text = 'Deck\n';
-  for (const entry of parsed.deck) text += `${entry.count} ${entry.name}\n`;
+const VARIANT_TEMPERATURES = [0.5, 0.8, 1.0, 1.2];
+const VARIANT_LAND_RANGE   = [20, 27]; // Main-deck land counts that don't cost curve points, per 60 cards
+// Highest temperature each provider accepts; the proxy clamps Anthropic's to 1
+const MAX_TEMPERATURE = { anthropic: 1 };
+
+// One { model, temperature, label } per variant. "model" cycles through the
+// picker's models, "temperature" through VARIANT_TEMPERATURES, capped at
+// what the model's provider accepts so the label shows what was sent.
+function variantSettings(count, mix) {
+  const buttons = [...document.querySelectorAll('.model-btn')];
+  const active  = document.querySelector('.model-btn.active') || buttons[0];
+  return Array.from({ length: count }, (_, i) => {
+    const btn = mix === 'model' && buttons.length > 0 ? buttons[i % buttons.length] : active;
+    const temperature = Math.min(
+      mix === 'temperature' ? VARIANT_TEMPERATURES[i % VARIANT_TEMPERATURES.length] : 0.7,
+      MAX_TEMPERATURE[btn?.dataset.provider] ?? Infinity);
+    return {
+      model: btn?.dataset.model || null,
+      temperature,
+      label: `${btn?.textContent || 'Default model'} · temp ${temperature}`,
+    };
+  });
+}
 
-  if (parsed.sideboard?.length) {
-    text += '\nSideboard\n';
-    for (const entry of parsed.sideboard) text += `${entry.count} ${entry.name}\n`;
-    sideboardOutput.textContent = parsed.sideboard.map(e => `${e.count} ${e.name}`).join('\n');
-    sideboardContainer.classList.remove('hidden');
-  } else {
-    sideboardContainer.classList.add('hidden');
+async function generateVariants(messages, count, context) {
+  // Variants run side by side, so each needs its request up front; repairs
+  // share whatever is left of the session's limit
+  const budget = requestsLeft();
+  if (budget < count) {
+    showError(`${count} variants need ${count} requests and ${budget} are left in this session's limit. Ask for fewer variants or try again in about ${minutesUntilRequests(count)} minutes.`);
+    return;
   }
+  const maxRepairs = Math.min(MAX_REPAIR_ATTEMPTS, Math.floor((budget - count) / count));
 
-  currentDeckText = text.trim();
-  deckOutput.textContent = parsed.deck.map(e => `${e.count} ${e.name}`).join('\n');
-  copyDeckBtn.disabled = false;
-  computeAndDisplayStats(parsed);
-}
-
-function computeAndDisplayStats(parsed) {
-  let totalCards = 0, totalCreatures = 0, totalLands = 0, totalSpells = 0;
-  const manaCurve = {};
+  const settings = variantSettings(count, variantMix.value);
+  activeRequest = new AbortController();
+  const { signal } = activeRequest;
+  let finished = 0;
 
-  for (const entry of parsed.deck) {
-    totalCards += entry.count;
-    const data = cardDataMap[entry.name];
-    if (!data) continue;
-    const tl = data.typeLine;
-    if (tl.includes('Land'))          totalLands     += entry.count;
-    else if (tl.includes('Creature')) totalCreatures += entry.count;
-    else                              totalSpells    += entry.count;
+  deckVariants = [];
+  variantContext = context;
+  renderVariants();
+  setBusy(true);
+  showProgress(`Generating ${count} variants...`, true);
 
-    if (!tl.includes('Land')) {
-      const bucket = Math.min(Math.floor(data.cmc), 7);
-      const label = bucket >= 7 ? '7+' : String(bucket);
-      manaCurve[label] = (manaCurve[label] || 0) + entry.count;
+  try {
+    const { meta } = await loadMetaData(selectedCardPool);
+    const results = await Promise.allSettled(settings.map(async (setting) => {
+      const result = await requestValidatedDeck(messages, {
+        repair:         maxRepairs > 0,
+        maxRepairs,
+        parse:          parseDeckResponse,
+        responseFormat: DECK_RESPONSE_FORMAT,
+        signal,
+        model:          setting.model,
+        temperature:    setting.temperature,
+      });
+      showProgress(`Generated ${++finished} of ${count} variants...`, true);
+      return result;
+    }));
+
+    if (signal.aborted) {
+      displayStrategy('Generation cancelled.');
+      return;
     }
-  }
 
-  statsContent.innerHTML = '';
-  for (const s of [
-    { label: 'Total Cards', value: totalCards    },
-    { label: 'Creatures',   value: totalCreatures },
-    { label: 'Spells',      value: totalSpells    },
-    { label: 'Lands',       value: totalLands     },
-  ]) {
-    const div = document.createElement('div');
-    div.className = 'stat-item';
-    div.innerHTML = `<div class="stat-label">${s.label}</div><div class="stat-value">${s.value}</div>`;
-    statsContent.appendChild(div);
+    deckVariants = results.map((result, i) => {
+      const variant = { ...settings[i], picks: new Set() };
+      if (result.status === 'rejected') {
+        variant.error = result.reason.message;
+        console.error('Variant error:', result.reason);
+      } else if (!result.value.parsed.deck) {
+        variant.error = result.value.parsed.schemaErrors ? 'Reply did not match the deck format.' : 'No deck list in the reply.';
+      } else {
+        variant.parsed = result.value.parsed;
+        variant.report = result.value.report;
+        variant.scores = scoreVariant(variant.parsed, variant.report, context.archetype, meta);
+      }
+      return variant;
+    });
+
+    const built = deckVariants.filter(v => v.parsed).length;
+    displayStrategy(built > 0
+      ? `Generated ${built} of ${count} variants. Compare them in the Variants panel, then use one or merge the cards you like.`
+      : 'None of the variants produced a deck list. Check the errors in the Variants panel.');
+    renderVariants();
+    variantsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } finally {
+    activeRequest = null;
+    hideProgress();
+    setBusy(false);
   }
+}
 
-  const curveDiv = document.createElement('div');
-  curveDiv.className = 'stat-item';
-  curveDiv.style.gridColumn = '1 / -1';
-  curveDiv.innerHTML = `<div class="stat-label">Mana Curve</div><div class="stat-value">${
-    ['0','1','2','3','4','5','6','7+'].map(k => `${k}:${manaCurve[k] || 0}`).join('  ')
-  }</div>`;
-  statsContent.appendChild(curveDiv);
+// Scores are 0–100. `meta` is null when there is no meta file for the pool,
+// in which case the total averages the other three.
+function scoreVariant(parsed, report, archetype, meta) {
+  const legality = report.valid ? 100 : Math.max(0, 100 - 20 * report.violations.length);
 
-  const unrecognized = parsed.deck.filter(e => !cardDataMap[e.name]);
-  if (unrecognized.length > 0) {
-    const warnDiv = document.createElement('div');
-    warnDiv.className = 'stat-item';
-    warnDiv.style.gridColumn = '1 / -1';
-    warnDiv.style.borderLeft = '3px solid var(--error)';
-    warnDiv.innerHTML = `<div class="stat-label" style="color:var(--error)">Unrecognized Cards</div><div class="stat-value" style="color:var(--error);font-size:0.8rem">${unrecognized.map(e => e.name).join(', ')}</div>`;
-    statsContent.appendChild(warnDiv);
+  // Curve: share of spells inside the archetype's mana value band, less a
+  // penalty for land counts outside VARIANT_LAND_RANGE
+  const [low, high] = (ARCHETYPE_PROFILES[archetype] || ARCHETYPE_PROFILES.midrange).curve;
+  let spells = 0, inBand = 0, lands = 0;
+  for (const entry of parsed.deck) {
+    const card = cardPool.cards[entry.name];
+    if (!card) continue;
+    if (isLandCard(card)) {
+      lands += entry.count;
+      continue;
+    }
+    spells += entry.count;
+    if (card.cmc >= low && card.cmc <= high) inBand += entry.count;
   }
-
-  deckStats.classList.remove('hidden');
+  const scale = (limitedPool ? core.LIMITED_RULES.mainDeckSize : FORMAT_CONFIG[selectedCardPool].deckSize || 60) / 60;
+  const [minLands, maxLands] = VARIANT_LAND_RANGE.map(n => Math.round(n * scale));
+  const landMiss = Math.max(0, minLands - lands, lands - maxLands);
+  const curve = Math.max(0, Math.round((spells ? 100 * inBand / spells : 0) - 10 * landMiss));
+
+  const { colors } = analyzeManaBase(parsed);
+  const mana = colors.length === 0
+    ? 100
+    : Math.round(100 * colors.reduce((sum, c) => sum + (c.required ? Math.min(1, c.total / c.required) : 1), 0) / colors.length);
+
+  const metaFit = meta ? scoreMetaOverlap(parsed, meta) : null;
+  const parts = [legality, curve, mana, ...(metaFit ? [metaFit.score] : [])];
+  return {
+    legality,
+    curve,
+    mana,
+    meta:      metaFit?.score ?? null,
+    metaMatch: metaFit?.deck ?? null,
+    total:     Math.round(parts.reduce((a, b) => a + b, 0) / parts.length),
+  };
 }
 
-// ============================================================
-// Strategy display
-// ============================================================
-function displayStrategy(text) {
-  strategyDisplay.innerHTML = '';
-  if (!text) return;
-  const div = document.createElement('div');
-  div.className = 'strategy-text';
-  div.textContent = text;
-  strategyDisplay.appendChild(div);
+// Closest meta deck by color overlap and, where the meta file lists them,
+// the share of that deck's key cards this list also plays
+function scoreMetaOverlap(parsed, meta) {
+  const { closest } = core.analyzeMetaMatchups(parsed, cardPool, meta);
+  return { score: Math.round(100 * (closest?.similarity || 0)), deck: closest?.name ?? null };
 }
 
-// ============================================================
-// Meta Game Check
-// ============================================================
-async function loadMetaData(format) {
-  if (metaDataCache[format] !== undefined) return metaDataCache[format];
-  try {
-    const response = await fetch(`/meta/${format}-meta.json`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    metaDataCache[format] = await response.json();
-  } catch {
-    metaDataCache[format] = null;
+function renderVariants() {
+  variantsList.innerHTML = '';
+  variantsSection.classList.toggle('hidden', deckVariants.length === 0);
+  if (deckVariants.length === 0) return;
+
+  // How many built variants play each card (main deck and sideboard alike)
+  const built = deckVariants.filter(v => v.parsed);
+  const appearances = {};
+  for (const variant of built) {
+    const names = new Set([...variant.parsed.deck, ...(variant.parsed.sideboard || [])].map(e => e.name));
+    for (const name of names) appearances[name] = (appearances[name] || 0) + 1;
   }
-  return metaDataCache[format];
-}
+  const cardClass = (name) => built.length < 2 ? ''
+    : appearances[name] === built.length ? 'shared'
+    : appearances[name] === 1 ? 'unique'
+    : '';
+
+  deckVariants.forEach((variant, index) => {
+    const column = document.createElement('div');
+    column.className = 'variant-card';
+
+    const header = document.createElement('div');
+    header.className = 'variant-header';
+    header.innerHTML = `<h3>Variant ${index + 1}</h3><span class="variant-setting"></span>`;
+    header.querySelector('.variant-setting').textContent = variant.label;
+    column.appendChild(header);
+
+    if (variant.error) {
+      const error = document.createElement('p');
+      error.className = 'variant-error';
+      error.textContent = variant.error;
+      column.appendChild(error);
+      variantsList.appendChild(column);
+      return;
+    }
 
-function buildMetaContextText(meta) {
-  const lines = [`Current ${meta.format} Metagame (as of ${meta.lastUpdated}, source: ${meta.source}):`];
-  for (const tierGroup of meta.tiers) {
-    if (!tierGroup.decks || tierGroup.decks.length === 0) continue;
-    lines.push(`\n[${tierGroup.tier}-Tier]`);
-    for (const deck of tierGroup.decks) {
-      const colors = deck.colors.join('/');
-      const keyCards = deck.keyCards && deck.keyCards.length > 0
-        ? ` Key cards: ${deck.keyCards.join(', ')}.`
-        : '';
-      lines.push(`- ${deck.name} (${colors}, ${deck.archetype}): ${deck.description}${keyCards}`);
+    const { scores } = variant;
+    const score = document.createElement('div');
+    score.className = 'variant-scores';
+    score.innerHTML = `
+      <span class="variant-total">${scores.total}</span>
+      <dl>
+        <dt>Legality</dt><dd>${scores.legality}</dd>
+        <dt>Curve</dt><dd>${scores.curve}</dd>
+        <dt>Mana</dt><dd>${scores.mana}</dd>
+        ${scores.meta === null ? '' : `<dt>Meta</dt><dd>${scores.meta}</dd>`}
+      </dl>`;
+    if (scores.metaMatch) {
+      const match = document.createElement('p');
+      match.className = 'variant-meta-match';
+      match.textContent = `Closest meta deck: ${scores.metaMatch}`;
+      score.appendChild(match);
+    }
+    column.appendChild(score);
+
+    for (const [section, entries] of [['deck', variant.parsed.deck], ['sideboard', variant.parsed.sideboard || []]]) {
+      if (entries.length === 0) continue;
+      const title = document.createElement('h4');
+      title.className = 'editor-group-title';
+      title.textContent = `${section === 'deck' ? 'Main Deck' : 'Sideboard'} (${entries.reduce((sum, e) => sum + e.count, 0)})`;
+      column.appendChild(title);
+
+      const list = document.createElement('ul');
+      list.className = 'variant-cards';
+      for (const entry of entries) {
+        const key = `${section}|${entry.name}`;
+        const li  = document.createElement('li');
+        li.className = cardClass(entry.name);
+        li.innerHTML = '<label><input type="checkbox"><span></span></label>';
+        const box = li.querySelector('input');
+        box.checked = variant.picks.has(key);
+        box.dataset.variant = index;
+        box.dataset.key = key;
+        li.querySelector('span').textContent = `${entry.count} ${entry.name}`;
+        list.appendChild(li);
+      }
+      column.appendChild(list);
     }
-  }
-  return lines.join('\n');
-}
 
-async function checkMetaFit() {
-  if (!currentDeckText) return;
+    const promote = document.createElement('button');
+    promote.type = 'button';
+    promote.className = 'btn-library';
+    promote.dataset.promote = index;
+    promote.textContent = 'Use This Deck';
+    column.appendChild(promote);
 
-  const meta = await loadMetaData(selectedCardPool);
-  if (!meta) {
-    displayStrategy(`No meta data found for ${FORMAT_CONFIG[selectedCardPool].displayName}. Add a meta/${selectedCardPool}-meta.json file to enable this feature.`);
+    variantsList.appendChild(column);
+  });
+
+  const picked = deckVariants.reduce((sum, v) => sum + v.picks.size, 0);
+  mergeVariantsBtn.disabled = picked === 0;
+  mergeVariantsBtn.textContent = picked > 0 ? `Merge ${picked} Checked Card${picked === 1 ? '' : 's'}` : 'Merge Checked Cards';
+}
+
+function handleVariantsClick(e) {
+  const box = e.target.closest('input[type="checkbox"][data-key]');
+  if (box) {
+    const picks = deckVariants[box.dataset.variant].picks;
+    if (box.checked) picks.add(box.dataset.key);
+    else picks.delete(box.dataset.key);
+    renderVariants();
+    return;
+  }
+  const promote = e.target.closest('[data-promote]');
+  if (promote) promoteVariant(parseInt(promote.dataset.promote, 10));
+}
+
+function promoteVariant(index) {
+  const variant = deckVariants[index];
+  if (!variant?.parsed) return;
+  useVariantDeck(variant.parsed, variant.report, variant.parsed.explanation || `Using variant ${index + 1}.`);
+}
+
+// Checked cards keep their count from the variant they were checked in;
+// a card checked in several variants takes the highest count
+function mergeVariantPicks() {
+  const merged = { deck: {}, sideboard: {} };
+  const sources = new Set();
+  deckVariants.forEach((variant, index) => {
+    for (const key of variant.picks) {
+      const [section, name] = key.split(/\|(.*)/s);
+      const entry = variant.parsed[section]?.find(e => e.name === name);
+      if (!entry) continue;
+      merged[section][name] = Math.max(merged[section][name] || 0, entry.count);
+      sources.add(index + 1);
+    }
+  });
+
+  const toEntries = (counts) => Object.entries(counts).map(([name, count]) => ({ count, name }));
+  const deck = {
+    deck:      toEntries(merged.deck),
+    sideboard: Object.keys(merged.sideboard).length > 0 ? toEntries(merged.sideboard) : null,
+  };
+  if (deck.deck.length === 0) {
+    showError('Check at least one main deck card to merge.');
+    return;
+  }
+  const total = deck.deck.reduce((sum, e) => sum + e.count, 0);
+  useVariantDeck(deck, validateDeck(deck),
+    `Merged ${total} main deck cards from variant${sources.size === 1 ? '' : 's'} ${[...sources].join(', ')}. Fine-tune the list in the Deck Manifest editor.`);
+}
+
+function useVariantDeck(parsed, report, strategy) {
+  hideError();
+  displayDeck(parsed, report);
+  displayStrategy(strategy);
+  resetConversation();
+  recordDeckVersion(parsed, {
+    archetype:    variantContext.archetype,
+    instructions: variantContext.instructions,
+    redoNote:     '',
+    source:       'variant',
+  }, { newDeck: true });
+  redoSection.classList.remove('hidden');
+  redoInput.disabled = false;
+  checkMetaBtn.classList.remove('hidden');
+  document.querySelector('.deck-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// ============================================================
+// API Call
+// ============================================================
+// With `repair` set, a deck that fails validateDeck() is sent back to the
+// model with its violations as a follow-up turn, up to MAX_REPAIR_ATTEMPTS.
+// With `structured` set, the model is asked for DECK_RESPONSE_SCHEMA JSON;
+// replies that aren't JSON still go through the text parser.
+// With streaming on, text renders as it arrives instead of behind the overlay.
+// Resolves to the parsed deck that was displayed, or null if there was none.
+async function callChatGPT(messages, { repair = false, structured = false } = {}) {
+  const streaming = streamToggle.checked;
+  const stream = streaming ? { deckShown: false } : null;
+  const previousDeck = currentDeck;
+  activeRequest = new AbortController();
+  const { signal } = activeRequest;
+  const onDelta = stream ? (text) => renderStreamingResponse(text, stream) : null;
+  const responseFormat = structured ? DECK_RESPONSE_FORMAT : null;
+  const parse = structured ? parseDeckResponse : parseDeckList;
+
+  setBusy(true);
+  showProgress('The Oracle is conjuring your deck...', streaming);
+
+  try {
+    const { parsed, report, reply } = await requestValidatedDeck(messages, {
+      repair, parse, responseFormat, onDelta, signal,
+      onRepair: (attempt) => {
+        showProgress(`Repairing deck legality (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS})...`, streaming);
+        if (stream) stream.deckShown = false;
+      },
+    });
+
+    if (parsed.deck) {
+      displayDeck(parsed, report);
+      displayStrategy(parsed.explanation || 'Deck generated! Check the Deck Manifest panel.');
+      redoSection.classList.remove('hidden');
+      checkMetaBtn.classList.remove('hidden');
+      return parsed;
+    }
+    displayStrategy(parsed.schemaErrors
+      ? `The model's reply didn't match the deck format:\n${parsed.schemaErrors.join('\n')}`
+      : reply);
+    return null;
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      // Drop any half-streamed deck and put the last complete one back, or
+      // clear the panel if this was the first deck
+      if (currentDeck !== previousDeck) {
+        if (previousDeck) displayDeck(previousDeck);
+        else clearDeck();
+      }
+      displayStrategy('Generation cancelled.');
+    } else {
+      displayStrategy(`Error: ${err.message}`);
+      // Policy rejections (rate limits, oversized requests) also go next to the button
+      if (err.code && err.code !== 'upstream_error') showError(err.message);
+      console.error('API error:', err);
+    }
+    return null;
+  } finally {
+    activeRequest = null;
+    hideProgress();
+    setBusy(false);
+    redoInput.focus();
+  }
+}
+
+function cancelGeneration() {
+  activeRequest?.abort();
+}
+
+// One generation plus the validateDeck() repair loop, with no UI of its own.
+// Resolves to { parsed, report, reply }; parsed.deck is null when no deck
+// could be read from the reply.
+function requestValidatedDeck(messages, options) {
+  return core.requestValidatedDeck(messages, {
+    complete:     requestChatCompletion,
+    validate:     validateDeck,
+    repairPrompt: buildRepairPrompt,
+    ...options,
+  });
+}
+
+// Resolves to the assistant's full reply. When `onDelta` is given the proxy
+// streams server-sent events and `onDelta` receives the text so far.
+// `model` and `temperature` override the picker and the 0.7 default.
+function requestChatCompletion(messages, { model = null, ...options } = {}) {
+  sessionRequestTimes.push(Date.now());
+  return core.requestChatCompletion(API_PROXY_URL, messages, {
+    ...options,
+    headers: { 'X-Session-Id': getSessionId() },
+    model:   model || document.querySelector('.model-btn.active')?.dataset.model || 'gpt-5.4',
+  });
+}
+
+// Calls left under the proxy's per-session limit, counted over a sliding
+// window — stricter than the proxy's fixed one, so never more optimistic
+function requestsLeft() {
+  const { limit, windowSeconds } = core.SESSION_REQUEST_LIMIT;
+  const since = Date.now() - windowSeconds * 1000;
+  sessionRequestTimes = sessionRequestTimes.filter(t => t > since);
+  return Math.max(0, limit - sessionRequestTimes.length);
+}
+
+// Minutes until `needed` more calls fit under the per-session limit
+function minutesUntilRequests(needed) {
+  const { limit, windowSeconds } = core.SESSION_REQUEST_LIMIT;
+  const blocking = sessionRequestTimes[sessionRequestTimes.length - (limit - needed) - 1];
+  return blocking ? Math.max(1, Math.ceil((blocking + windowSeconds * 1000 - Date.now()) / 60000)) : 0;
+}
+
+// Identifies this tab to the proxy's per-session rate limit
+function getSessionId() {
+  let id = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+  }
+  return id;
+}
+
+// Shows the strategy as it streams in and fills the Deck Manifest as soon as
+// the main deck section has been closed by a sideboard header or prose.
+function renderStreamingResponse(text, stream) {
+  if (/^\s*(```(json)?\s*)?\{/.test(text)) {
+    renderStreamingJson(text, stream);
+    return;
+  }
+  if (!/^\s*deck\s*$/im.test(text)) {
+    displayStrategy(text);
+    return;
+  }
+
+  const completeLines = text.slice(0, text.lastIndexOf('\n') + 1);
+  const parsed = parseDeckList(completeLines);
+  const deckClosed = parsed.deck && (parsed.explanation || /^\s*sideboard\s*$/im.test(completeLines));
+
+  if (!deckClosed) {
+    const count = parsed.deck ? parsed.deck.reduce((sum, e) => sum + e.count, 0) : 0;
+    displayStrategy(`Drafting the deck list... ${count} cards so far`);
+    return;
+  }
+
+  if (!stream.deckShown) {
+    displayDeck({ deck: parsed.deck, sideboard: null });
+    stream.deckShown = true;
+  }
+  displayStrategy(parseDeckList(text).explanation || 'Writing up the strategy...');
+}
+
+// Structured replies arrive in schema order: the deck is complete once the
+// "sideboard" key shows up, and the strategy string can be shown as it grows.
+function renderStreamingJson(text, stream) {
+  const sideboardAt = text.search(/"sideboard"\s*:/);
+  const deckPart    = sideboardAt === -1 ? text : text.slice(0, sideboardAt);
+  const entries     = [...deckPart.matchAll(/"id"\s*:\s*"([^"]+)"\s*,\s*"count"\s*:\s*(\d+)/g)];
+
+  if (sideboardAt === -1) {
+    const count = entries.reduce((sum, m) => sum + parseInt(m[2], 10), 0);
+    displayStrategy(`Drafting the deck list... ${count} cards so far`);
+    return;
+  }
+
+  if (!stream.deckShown && entries.length > 0) {
+    displayDeck({
+      deck:      entries.map(m => ({ count: parseInt(m[2], 10), name: cardIdMap[m[1]] || m[1] })),
+      sideboard: null,
+    });
+    stream.deckShown = true;
+  }
+
+  // The string may end mid-escape (e.g. "\u00"), so back off until it parses
+  const raw = text.match(/"strategy"\s*:\s*"((?:[^"\\]|\\.)*)/)?.[1] || '';
+  let partial = '';
+  for (let cut = 0; cut < 6 && cut <= raw.length && !partial; cut++) {
+    try {
+      partial = JSON.parse(`"${raw.slice(0, raw.length - cut)}"`);
+    } catch {
+      partial = '';
+    }
+  }
+  displayStrategy(partial || 'Writing up the strategy...');
+}
+
+// ============================================================
+// Parse deck list from response
+// ============================================================
+// Structured replies are validated against the deck schema; anything
+// that isn't a JSON object falls back to the Arena text parser. In Brawl
+// pools the picked commander is attached to the deck; in Limited the rest
+// of the pool becomes the sideboard.
+function parseDeckResponse(text) {
+  const parsed = core.parseDeckResponse(text, cardIdMap);
+  if (parsed.schemaErrors) console.warn('Deck response failed schema validation:', parsed.schemaErrors);
+  return withPoolExtras(parsed);
+}
+
+function parseDeckList(text) {
+  return withPoolExtras(core.parseDeckList(text, cardIdMap));
+}
+
+function withPoolExtras(parsed) {
+  if (limitedPool) return core.limitedSideboard(parsed, limitedPool.counts);
+  return core.withCommander(parsed, selectedCommander);
+}
+
+// ============================================================
+// Deck legality validation
+// ============================================================
+function isCopyLimitExempt(name) {
+  return core.isCopyLimitExempt(cardPool.cards[name]);
+}
+
+function validateDeck(parsed) {
+  return core.validateDeck(parsed, {
+    pool:        cardPool,
+    ...colorRequest(),
+    bo3:         formatSelect.value === 'bo3',
+    include:     cardConstraints.include,
+    limited:     limitedPool?.counts || null,
+    extraChecks: limitedPool ? [buildConstraintCheck] : [buildCollectionCheck, buildConstraintCheck],
+  });
+}
+
+function buildRepairPrompt(report) {
+  return core.buildRepairPrompt(report, cardNameToId);
+}
+
+function renderLegalityReport(report) {
+  legalityReport.innerHTML = '';
+  if (!report) {
+    legalityReport.classList.add('hidden');
+    return;
+  }
+
+  const header = document.createElement('div');
+  header.className = `legality-verdict ${report.valid ? 'pass' : 'fail'}`;
+  header.textContent = report.valid ? 'Legal' : `Not Legal — ${report.violations.length} issue${report.violations.length === 1 ? '' : 's'}`;
+  if (report.repairAttempts > 0) {
+    header.textContent += ` (after ${report.repairAttempts} repair attempt${report.repairAttempts === 1 ? '' : 's'})`;
+  }
+  legalityReport.appendChild(header);
+
+  for (const check of report.checks) {
+    const passed = check.problems.length === 0;
+    const row = document.createElement('div');
+    row.className = `legality-check ${passed ? 'pass' : 'fail'}`;
+
+    const label = document.createElement('span');
+    label.className = 'legality-label';
+    label.textContent = `${passed ? '✓' : '✗'} ${check.label}`;
+    const detail = document.createElement('span');
+    detail.className = 'legality-detail';
+    detail.textContent = check.detail;
+    row.append(label, detail);
+
+    if (!passed) {
+      const list = document.createElement('ul');
+      for (const problem of check.problems) {
+        const li = document.createElement('li');
+        li.textContent = problem.message;
+        list.appendChild(li);
+      }
+      row.appendChild(list);
+    }
+    legalityReport.appendChild(row);
+  }
+  legalityReport.classList.remove('hidden');
+}
+
+// ============================================================
+// Display deck
+// ============================================================
+function displayDeck(parsed, report = validateDeck(parsed)) {
+  currentDeck = parsed;
+  currentDeckText = formatDeckText(parsed);
+  renderDeckEditor(parsed);
+  saveEditsBtn.classList.add('hidden');
+  copyDeckBtn.disabled = false;
+  exportBtn.disabled = false;
+  goldfishPanel.classList.remove('hidden');
+  goldfishResults.innerHTML = '';
+  $('#goldfish-match').value = formatSelect.value;
+  computeAndDisplayStats(parsed);
+  renderLegalityReport(report);
+  renderManaAnalysis(parsed);
+  renderRoleAnalysis(parsed);
+  renderMetaMatchups(parsed);
+  // A Limited sideboard is the rest of the pool, not a plan against the meta
+  sideboardGuideBtn.classList.toggle('hidden', !parsed.sideboard?.length || Boolean(limitedPool));
+  renderSideboardGuide();
+}
+
+// Back to the empty panel, e.g. when the only deck shown was half-streamed
+function clearDeck() {
+  currentDeck = null;
+  currentDeckText = '';
+  deckOutput.textContent = 'Your deck will appear here after summoning...';
+  sideboardOutput.innerHTML = '';
+  sideboardContainer.classList.add('hidden');
+  saveEditsBtn.classList.add('hidden');
+  copyDeckBtn.disabled = true;
+  exportBtn.disabled = true;
+  goldfishPanel.classList.add('hidden');
+  goldfishResults.innerHTML = '';
+  deckStats.classList.add('hidden');
+  renderLegalityReport(null);
+  sideboardGuideBtn.classList.add('hidden');
+}
+
+function computeAndDisplayStats(parsed) {
+  const stats = computeDeckStats(parsed, cardPool);
+
+  // Brawl totals count the commander against the format's deck size
+  const deckSize = FORMAT_CONFIG[selectedCardPool].deckSize;
+  const total = limitedPool ? `${stats.totalCards} (min ${core.LIMITED_RULES.mainDeckSize})`
+    : deckSize ? `${stats.totalCards} / ${deckSize}`
+    : stats.totalCards;
+  statsContent.innerHTML = '';
+  for (const s of [
+    { label: 'Total Cards', value: total },
+    { label: 'Creatures',   value: stats.creatures  },
+    { label: 'Spells',      value: stats.spells     },
+    { label: 'Lands',       value: stats.lands      },
+  ]) {
+    const div = document.createElement('div');
+    div.className = 'stat-item';
+    div.innerHTML = `<div class="stat-label">${s.label}</div><div class="stat-value">${s.value}</div>`;
+    statsContent.appendChild(div);
+  }
+
+  if (parsed.commander?.length) {
+    const commanderDiv = document.createElement('div');
+    commanderDiv.className = 'stat-item';
+    commanderDiv.style.gridColumn = '1 / -1';
+    commanderDiv.innerHTML = '<div class="stat-label">Commander</div><div class="stat-value stat-commander"></div>';
+    commanderDiv.querySelector('.stat-commander').textContent = parsed.commander.map(e => e.name).join(', ');
+    statsContent.appendChild(commanderDiv);
+  }
+
+  const curveDiv = document.createElement('div');
+  curveDiv.className = 'stat-item';
+  curveDiv.style.gridColumn = '1 / -1';
+  curveDiv.innerHTML = `<div class="stat-label">Mana Curve</div><div class="stat-value">${
+    CURVE_BUCKETS.map(k => `${k}:${stats.curve[k] || 0}`).join('  ')
+  }</div>`;
+  statsContent.appendChild(curveDiv);
+
+  if (Object.keys(collection).length > 0) {
+    const bill = computeWildcardBill(parsed);
+    const billDiv = document.createElement('div');
+    billDiv.className = 'stat-item';
+    billDiv.style.gridColumn = '1 / -1';
+    billDiv.innerHTML = `<div class="stat-label">Wildcards Needed</div><div class="stat-value wildcard-bill">${
+      WILDCARD_RARITIES.map(r => `<span class="wildcard ${r}">${r[0].toUpperCase()}:${bill.totals[r]}</span>`).join('  ')
+    }</div>`;
+    statsContent.appendChild(billDiv);
+    reduceWildcardsBtn.classList.toggle('hidden', bill.total === 0);
+  } else {
+    reduceWildcardsBtn.classList.add('hidden');
+  }
+
+  deckStats.classList.remove('hidden');
+}
+
+// ============================================================
+// Deck editor — the Deck Manifest lists are editable in place
+// ============================================================
+// Main deck groups, checked in order against the front face's type line
+const EDITOR_TYPE_GROUPS = [
+  ['Lands',         (card) => isLandCard(card)],
+  ['Creatures',     (card) => card.typeLine.includes('Creature')],
+  ['Planeswalkers', (card) => card.typeLine.includes('Planeswalker')],
+  ['Instants',      (card) => card.typeLine.includes('Instant')],
+  ['Sorceries',     (card) => card.typeLine.includes('Sorcery')],
+  ['Artifacts',     (card) => card.typeLine.includes('Artifact')],
+  ['Enchantments',  (card) => card.typeLine.includes('Enchantment')],
+  ['Battles',       (card) => card.typeLine.includes('Battle')],
+];
+const ADD_CARD_SUGGESTIONS = 25;
+
+function groupByCardType(entries) {
+  const groups = new Map([...EDITOR_TYPE_GROUPS.map(([label]) => [label, []]), ['Other', []]]);
+  for (const entry of entries) {
+    const card  = cardPool.cards[entry.name];
+    const match = card && EDITOR_TYPE_GROUPS.find(([, test]) => test(card));
+    groups.get(match ? match[0] : 'Other').push(entry);
+  }
+  // Lands read best at the bottom, as in Arena's deck view
+  const lands = groups.get('Lands');
+  groups.delete('Lands');
+  groups.set('Lands', lands);
+  return [...groups].filter(([, list]) => list.length > 0);
+}
+
+function renderDeckEditor(parsed) {
+  deckOutput.innerHTML = '';
+  for (const [label, entries] of [['Commander', parsed.commander], ['Companion', parsed.companion]]) {
+    if (entries?.length) deckOutput.appendChild(buildEditorGroup(label, entries, null));
+  }
+  for (const [label, entries] of groupByCardType(parsed.deck)) {
+    deckOutput.appendChild(buildEditorGroup(label, entries, 'deck'));
+  }
+
+  sideboardOutput.innerHTML = '';
+  const sideboard = parsed.sideboard || [];
+  if (sideboard.length > 0) {
+    sideboardOutput.appendChild(buildEditorGroup(null, sideboard, 'sideboard'));
+  } else {
+    sideboardOutput.innerHTML = '<p class="editor-empty">Move cards here with ⇄ or add them below.</p>';
+  }
+  // Bo3 keeps an empty sideboard visible so cards can be moved into it
+  sideboardContainer.classList.toggle('hidden', sideboard.length === 0 && formatSelect.value !== 'bo3');
+  deckEditorTools.classList.remove('hidden');
+}
+
+// `section` is null for read-only groups (commander, companion)
+function buildEditorGroup(label, entries, section) {
+  const group = document.createElement('div');
+  group.className = 'editor-group';
+
+  if (label) {
+    const heading = document.createElement('h4');
+    heading.className = 'editor-group-title';
+    heading.textContent = `${label} (${entries.reduce((sum, e) => sum + e.count, 0)})`;
+    group.appendChild(heading);
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'editor-list';
+  for (const entry of entries) {
+    const card = cardPool.cards[entry.name];
+    const row  = document.createElement('li');
+    row.className = `editor-row${card ? '' : ' unknown'}`;
+    row.dataset.name = entry.name;
+    if (section) row.dataset.section = section;
+
+    const controls = section
+      ? `<span class="editor-controls">
+          <button type="button" data-action="dec" title="Remove one">−</button>
+          <button type="button" data-action="inc" title="Add one">+</button>
+          <button type="button" data-action="move" title="Move one to the ${section === 'deck' ? 'sideboard' : 'main deck'}">⇄</button>
+        </span>`
+      : '';
+    row.innerHTML = `
+      <span class="editor-count">${entry.count}</span>
+      <button type="button" class="editor-name" data-action="details"></button>
+      <span class="editor-cost"></span>
+      ${controls}`;
+    row.querySelector('.editor-name').textContent = entry.name;
+    row.querySelector('.editor-cost').textContent = card?.manaCost || '';
+    list.appendChild(row);
+  }
+  group.appendChild(list);
+  return group;
+}
+
+function handleEditorClick(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const { name, section } = btn.closest('.editor-row').dataset;
+  const action = btn.dataset.action;
+
+  if (action === 'details') {
+    showCardDetails(name, btn, true);
+    return;
+  }
+  editDeck(deck => {
+    if (action === 'inc') adjustDeckCount(deck, section, name, 1);
+    if (action === 'dec') adjustDeckCount(deck, section, name, -1);
+    if (action === 'move') {
+      adjustDeckCount(deck, section, name, -1);
+      adjustDeckCount(deck, section === 'deck' ? 'sideboard' : 'deck', name, 1);
+    }
+  });
+}
+
+function adjustDeckCount(parsed, section, name, delta) {
+  const list  = parsed[section] || [];
+  const entry = list.find(e => e.name === name);
+  if (entry) entry.count += delta;
+  else if (delta > 0) list.push({ count: delta, name });
+  parsed[section] = list.filter(e => e.count > 0);
+}
+
+// Applies `mutate` to a copy of currentDeck and re-renders everything that
+// derives from it (text, stats, legality, mana analysis)
+function editDeck(mutate) {
+  if (!currentDeck) return;
+  const copy = (list) => list ? list.map(e => ({ ...e })) : null;
+  const next = {
+    ...currentDeck,
+    deck:      copy(currentDeck.deck),
+    sideboard: copy(currentDeck.sideboard),
+  };
+  mutate(next);
+  if (next.sideboard?.length === 0) next.sideboard = null;
+
+  hideCardDetails();
+  displayDeck(next);
+  saveEditsBtn.classList.remove('hidden');
+}
+
+function addCardFromPicker() {
+  const name = resolveCardName(addCardInput.value);
+  if (!name) {
+    addCardInput.setCustomValidity(`"${addCardInput.value.trim()}" is not in the ${FORMAT_CONFIG[selectedCardPool].displayName} card pool.`);
+    addCardInput.reportValidity();
+    return;
+  }
+  editDeck(deck => adjustDeckCount(deck, addCardSection.value, name, 1));
+  addCardInput.value = '';
+}
+
+function updateAddCardSuggestions() {
+  addCardInput.setCustomValidity('');
+  const query = addCardInput.value.trim().toLowerCase();
+  addCardOptions.innerHTML = '';
+  if (query.length < 2) return;
+
+  const starts   = cardPool.names.filter(n => n.toLowerCase().startsWith(query));
+  const contains = cardPool.names.filter(n => !n.toLowerCase().startsWith(query) && n.toLowerCase().includes(query));
+  for (const name of [...starts, ...contains].slice(0, ADD_CARD_SUGGESTIONS)) {
+    const option = document.createElement('option');
+    option.value = name;
+    addCardOptions.appendChild(option);
+  }
+}
+
+function saveDeckEdits() {
+  if (!currentDeck) return;
+  recordDeckVersion(currentDeck, {
+    archetype:    $('#archetype').value,
+    instructions: $('#extra-instructions').value.trim(),
+    redoNote:     '',
+    source:       'edited',
+  }, { newDeck: !currentLibraryDeckId });
+  saveEditsBtn.classList.add('hidden');
+}
+
+// Hover shows details; a click or tap pins them until the next click elsewhere
+function showCardDetails(name, anchor, pin = false) {
+  const card  = cardPool.cards[name];
+  const entry = [...(currentDeck?.deck || []), ...(currentDeck?.sideboard || [])].find(e => e.name === name);
+  cardDetails.innerHTML = '';
+
+  const add = (className, text) => {
+    if (!text) return;
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    cardDetails.appendChild(el);
+  };
+  add('card-details-name', name);
+  if (card) {
+    add('card-details-cost', card.manaCost);
+    add('card-details-type', card.typeLine);
+    add('card-details-text', card.oracleText);
+    add('card-details-meta', [card.rarity, card.setName].filter(Boolean).join(' · '));
+  } else {
+    add('card-details-text', `Not in the ${FORMAT_CONFIG[selectedCardPool].displayName} card pool.`);
+  }
+  if (entry?.reason) add('card-details-reason', entry.reason);
+
+  const rect = anchor.getBoundingClientRect();
+  cardDetails.style.top  = `${rect.bottom + 6}px`;
+  cardDetails.style.left = `${Math.min(rect.left, window.innerWidth - 320)}px`;
+  cardDetails.classList.remove('hidden');
+  cardDetails.dataset.pinned = pin ? 'true' : '';
+}
+
+function hideCardDetails() {
+  cardDetails.classList.add('hidden');
+  cardDetails.dataset.pinned = '';
+}
+
+// ============================================================
+// Mana Base Analyzer — colored sources vs. what the spells demand
+// ============================================================
+function analyzeManaBase(parsed) {
+  return core.analyzeManaBase(parsed, cardPool, [...selectedColors, ...colorRequest().splash], { limited: limitedPool?.counts || null });
+}
+
+function applyLandSwaps(swaps) {
+  if (!currentDeck || swaps.length === 0) return;
+  const deck = currentDeck.deck.map(e => ({ ...e }));
+  for (const swap of swaps) {
+    const out = deck.find(e => e.name === swap.out);
+    if (out) out.count -= swap.count;
+    const existing = deck.find(e => e.name === swap.in);
+    if (existing) existing.count += swap.count;
+    else deck.push({ count: swap.count, name: swap.in });
+  }
+
+  const updated = { ...currentDeck, deck: deck.filter(e => e.count > 0) };
+  const note = swaps.map(s => `-${s.count} ${s.out} / +${s.count} ${s.in}`).join(', ');
+  displayDeck(updated);
+  recordDeckVersion(updated, {
+    archetype:    $('#archetype').value,
+    instructions: $('#extra-instructions').value.trim(),
+    redoNote:     `Mana base: ${note}`,
+    source:       'redo',
+  }, { newDeck: !currentLibraryDeckId });
+}
+
+function renderManaAnalysis(parsed) {
+  const analysis = analyzeManaBase(parsed);
+  manaAnalysis.innerHTML = '';
+  if (analysis.colors.length === 0) {
+    manaSection.classList.add('hidden');
+    return;
+  }
+
+  const head = document.createElement('div');
+  head.className = 'mana-row mana-head';
+  head.innerHTML = '<span>Color</span><span>Sources</span><span>Needed</span><span>Most demanding</span>';
+  manaAnalysis.appendChild(head);
+
+  for (const c of analysis.colors) {
+    const row = document.createElement('div');
+    row.className = `mana-row ${c.shortfall > 0 ? 'short' : 'ok'}`;
+    const cells = [
+      c.color,
+      `${c.total}${c.producers ? ` (${c.lands} + ${c.producers} producer${c.producers === 1 ? '' : 's'})` : ''}`,
+      `${c.required}${c.softRequired > c.required ? ` (${c.softRequired} to pay Phyrexian/{2/${c.color}} pips with mana)` : ''}`,
+      `${c.card} ${c.cost}`,
+    ];
+    for (const text of cells) {
+      const span = document.createElement('span');
+      span.textContent = text;
+      row.appendChild(span);
+    }
+    manaAnalysis.appendChild(row);
+  }
+
+  if (analysis.swaps.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'mana-swaps';
+    for (const swap of analysis.swaps) {
+      const li = document.createElement('li');
+      li.textContent = `−${swap.count} ${swap.out}  →  +${swap.count} ${swap.in}`;
+      list.appendChild(li);
+    }
+    const apply = document.createElement('button');
+    apply.className = 'btn-library';
+    apply.textContent = 'Apply Land Swaps';
+    apply.addEventListener('click', () => applyLandSwaps(analysis.swaps));
+    manaAnalysis.append(list, apply);
+  } else if (analysis.colors.some(c => c.shortfall > 0)) {
+    const note = document.createElement('p');
+    note.className = 'mana-note';
+    note.textContent = 'No lands in the current pool can close the gap — consider cutting the most demanding cards of the short color.';
+    manaAnalysis.appendChild(note);
+  }
+  manaSection.classList.remove('hidden');
+}
+
+// ============================================================
+// Roles & synergy — role counts against archetype targets, packages, orphans
+// ============================================================
+function renderRoleAnalysis(parsed) {
+  const analysis = core.analyzeDeckRoles(parsed, cardPool, $('#archetype').value);
+  roleAnalysis.innerHTML = '';
+
+  const head = document.createElement('div');
+  head.className = 'role-row role-head';
+  head.innerHTML = '<span>Role</span><span>Cards</span><span>Target</span>';
+  roleAnalysis.appendChild(head);
+
+  // Targeted roles first, then whatever else the deck does
+  const targeted = new Set(analysis.targets.map(t => t.role));
+  const rows = [
+    ...analysis.targets,
+    ...Object.entries(core.DECK_ROLES)
+      .filter(([role]) => !targeted.has(role) && analysis.roles[role] > 0)
+      .map(([role, label]) => ({ role, label, count: analysis.roles[role], target: null, short: 0 })),
+  ];
+  for (const r of rows) {
+    const row = document.createElement('div');
+    row.className = `role-row ${r.short > 0 ? 'short' : 'ok'}`;
+    for (const text of [r.label, String(r.count), r.target === null ? '—' : `${r.target}+`]) {
+      const span = document.createElement('span');
+      span.textContent = text;
+      row.appendChild(span);
+    }
+    // Hovering a role lists the cards behind its count
+    row.title = Object.keys(analysis.cardRoles).filter(name => analysis.cardRoles[name].includes(r.role)).join(', ');
+    roleAnalysis.appendChild(row);
+  }
+
+  const packages = document.createElement('ul');
+  packages.className = 'role-packages';
+  for (const pkg of analysis.packages) {
+    const li = document.createElement('li');
+    li.innerHTML = '<strong></strong> <span></span>';
+    li.querySelector('strong').textContent = `${pkg.label} (${pkg.copies})`;
+    li.querySelector('span').textContent = pkg.cards.map(c => c.kind === 'payoff' ? `${c.name}★` : c.name).join(', ');
+    packages.appendChild(li);
+  }
+  if (analysis.packages.length > 0) roleAnalysis.appendChild(packages);
+
+  const note = document.createElement('p');
+  note.className = 'role-note';
+  note.textContent = analysis.packages.length === 0
+    ? 'No synergy packages found — the deck is built on card quality alone.'
+    : analysis.orphans.length > 0
+      ? `Orphans (in no package, no interaction or card advantage): ${analysis.orphans.join(', ')}`
+      : 'Every nonland card joins a package or fills a support role. ★ marks payoffs.';
+  roleAnalysis.appendChild(note);
+
+  const request = core.buildRoleRefinementNote(analysis);
+  if (request) {
+    const refine = document.createElement('button');
+    refine.className = 'btn-library';
+    refine.textContent = analysis.orphans.length > 0 ? 'Replace Orphans' : 'Fill Short Roles';
+    refine.title = request;
+    refine.addEventListener('click', () => refineDeck(request));
+    roleAnalysis.appendChild(refine);
+  }
+  rolesSection.classList.remove('hidden');
+}
+
+// ============================================================
+// Goldfish Simulator — opening hands, mulligans, land drops
+// ============================================================
+function shuffle(cards) {
+  const a = [...cards];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function countLands(cards) {
+  return cards.reduce((n, c) => n + (c.isLand ? 1 : 0), 0);
+}
+
+// Arena's Bo1 hand smoothing deals two candidate openers and keeps the one
+// whose land count is closer to the deck's land ratio (random on ties).
+function dealOpener(library, smoothing, landRatio) {
+  const first = shuffle(library);
+  if (!smoothing) return first;
+  const second = shuffle(library);
+  const target = landRatio * 7;
+  const d1 = Math.abs(countLands(first.slice(0, 7)) - target);
+  const d2 = Math.abs(countLands(second.slice(0, 7)) - target);
+  if (d1 === d2) return Math.random() < 0.5 ? first : second;
+  return d1 < d2 ? first : second;
+}
+
+// London mulligan: always look at 7, then put one card on the bottom per
+// mulligan taken — excess lands first, otherwise the most expensive spell.
+function bottomCards(hand, count, landRatio) {
+  const kept = [...hand];
+  const bottomed = [];
+  for (let i = 0; i < count; i++) {
+    const idealLands = Math.round((kept.length - 1) * landRatio);
+    let idx;
+    if (countLands(kept) > idealLands) {
+      idx = kept.findIndex(c => c.isLand);
+    } else {
+      idx = kept.reduce((best, c, j) => (!c.isLand && (best === -1 || c.cmc > kept[best].cmc) ? j : best), -1);
+      if (idx === -1) idx = 0;
+    }
+    bottomed.push(...kept.splice(idx, 1));
+  }
+  return { kept, bottomed };
+}
+
+// Games dealt between yields to the event loop, so long runs don't freeze the page
+const GOLDFISH_CHUNK = 500;
+
+// Resolves to the result; `onProgress(games)` is called after each chunk
+async function simulateGoldfish(parsed, { iterations, smoothing, minLands, maxLands, minHandSize }, onProgress) {
+  const library = [];
+  for (const entry of parsed.deck) {
+    const card = cardPool.cards[entry.name];
+    if (!card) continue;
+    const isLand = isLandCard(card);
+    const simCard = {
+      name:   entry.name,
+      isLand,
+      cmc:    isLand ? 0 : Math.ceil(card.cmc || 0),
+      pips:   isLand ? [] : parseManaCost(card.manaCost),
+      colors: isLand ? manaSourceColors(card) : [],
+    };
+    for (let i = 0; i < entry.count; i++) library.push(simCard);
+  }
+  const landRatio = countLands(library) / library.length;
+
+  const spells = [...new Map(library.filter(c => !c.isLand).map(c => [c.name, c])).values()]
+    .sort((a, b) => a.cmc - b.cmc || a.name.localeCompare(b.name));
+  const openerLands = new Array(8).fill(0);
+  const landDrops = { play: new Array(5).fill(0), draw: new Array(5).fill(0) };
+  const onCurve = Object.fromEntries(spells.map(c => [c.name, { play: 0, draw: 0 }]));
+  let mulliganGames = 0, keptCards = 0;
+
+  for (let game = 0; game < iterations; game++) {
+    if (game > 0 && game % GOLDFISH_CHUNK === 0) {
+      onProgress?.(game);
+      await new Promise(resolve => setTimeout(resolve));
+    }
+    let order, mulligans = 0;
+    while (true) {
+      order = dealOpener(library, smoothing, landRatio);
+      const lands = countLands(order.slice(0, 7));
+      if (mulligans === 0) openerLands[lands]++;
+      if ((lands >= minLands && lands <= maxLands) || 7 - mulligans <= minHandSize) break;
+      mulligans++;
+    }
+    if (mulligans > 0) mulliganGames++;
+
+    const { kept, bottomed } = bottomCards(order.slice(0, 7), mulligans, landRatio);
+    keptCards += kept.length;
+    const draws = [...order.slice(7), ...bottomed];
+
+    for (const [seat, extra] of [['play', 0], ['draw', 1]]) {
+      // Cards seen by turn t: the kept hand plus t-1 draws (t draws on the draw)
+      const seenBy = (turn) => [...kept, ...draws.slice(0, turn - 1 + extra)];
+      for (let turn = 1; turn <= 5; turn++) {
+        if (countLands(seenBy(turn)) >= turn) landDrops[seat][turn - 1]++;
+      }
+      for (const spell of spells) {
+        const turn = Math.max(spell.cmc, 1);
+        // Any of the lands seen can be the ones played; the spell needs at most `turn` of them
+        const lands = seenBy(turn).filter(c => c.isLand).map(c => c.colors);
+        if (canPayWithLands(lands, spell.cmc, spell.pips)) onCurve[spell.name][seat]++;
+      }
+    }
+  }
+
+  const pct = (n) => (100 * n / iterations);
+  return {
+    iterations,
+    smoothing,
+    openerLands:   openerLands.map(pct),
+    mulliganRate:  pct(mulliganGames),
+    avgHandSize:   keptCards / iterations,
+    landDrops:     { play: landDrops.play.map(pct), draw: landDrops.draw.map(pct) },
+    onCurve:       spells.map(c => ({
+      name: c.name,
+      cmc:  c.cmc,
+      play: pct(onCurve[c.name].play),
+      draw: pct(onCurve[c.name].draw),
+    })),
+  };
+}
+
+// An empty or non-numeric field falls back; 0 is a valid setting
+function goldfishInput(id, fallback) {
+  const value = parseInt($(id).value, 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+async function runGoldfish() {
+  if (!currentDeck) return;
+  const deck = currentDeck;
+  const runBtn = $('#goldfish-run-btn');
+  const opts = {
+    iterations:  Math.min(Math.max(goldfishInput('#goldfish-iterations', 5000), 100), 50000),
+    smoothing:   $('#goldfish-match').value === 'bo1',
+    minLands:    goldfishInput('#goldfish-min-lands', 0),
+    maxLands:    goldfishInput('#goldfish-max-lands', 7),
+    minHandSize: goldfishInput('#goldfish-min-hand', 5),
+  };
+
+  runBtn.disabled = true;
+  const status = (games) => {
+    if (currentDeck !== deck) return;
+    goldfishResults.innerHTML = `<div class="goldfish-summary">Dealing hands... ${games.toLocaleString()} of ${opts.iterations.toLocaleString()} games</div>`;
+  };
+  status(0);
+  try {
+    const result = await simulateGoldfish(deck, opts, status);
+    // The deck was replaced mid-run; its panel has already been reset
+    if (currentDeck === deck) renderGoldfishResults(result);
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+function renderGoldfishResults(result) {
+  const fmt = (n) => `${n.toFixed(1)}%`;
+  const table = (headers, rows) => `<table class="goldfish-table"><thead><tr>${
+    headers.map(h => `<th>${h}</th>`).join('')
+  }</tr></thead><tbody>${
+    rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')
+  }</tbody></table>`;
+  const escape = (text) => text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+  goldfishResults.innerHTML = `
+    <div class="goldfish-summary">
+      ${result.iterations.toLocaleString()} games · ${result.smoothing ? 'Bo1 (hand smoothing)' : 'Bo3'} ·
+      Mulligan rate <strong>${fmt(result.mulliganRate)}</strong> ·
+      Avg. kept hand <strong>${result.avgHandSize.toFixed(2)}</strong>
+    </div>
+    <h4>Lands in Opening 7</h4>
+    ${table(result.openerLands.map((_, i) => i), [result.openerLands.map(fmt)])}
+    <h4>Land Drop Hit by Turn</h4>
+    ${table(['', 'T1', 'T2', 'T3', 'T4', 'T5'], [
+      ['Play', ...result.landDrops.play.map(fmt)],
+      ['Draw', ...result.landDrops.draw.map(fmt)],
+    ])}
+    <h4>Castable on Curve</h4>
+    ${table(['Card', 'MV', 'Play', 'Draw'], result.onCurve.map(c => [escape(c.name), c.cmc, fmt(c.play), fmt(c.draw)]))}
+  `;
+}
+
+// ============================================================
+// Strategy display
+// ============================================================
+function displayStrategy(text) {
+  strategyDisplay.innerHTML = '';
+  if (!text) return;
+  const div = document.createElement('div');
+  div.className = 'strategy-text';
+  div.textContent = text;
+  strategyDisplay.appendChild(div);
+}
+
+// ============================================================
+// Import — MTG Arena export text
+// ============================================================
+function resolveCardName(rawName) {
+  return core.resolveCardName(cardPool, rawName);
+}
+
+function parseArenaImport(text) {
+  return core.parseArenaImport(text, cardPool);
+}
+
+async function importArenaDeck() {
+  const text = importInput.value.trim();
+  if (!text) return;
+  hideError();
+
+  const format = selectedCardPool;
+  const { parsed, problems } = parseArenaImport(text);
+  await explainUnresolvedCards(problems);
+  // The card pool was switched while the other pools were read
+  if (selectedCardPool !== format) return;
+  renderImportReport(parsed, problems);
+  if (parsed.deck.length === 0) {
+    showError('No main deck cards found in the pasted list.');
+    return;
+  }
+
+  // Adopt the deck's colors and match format so validation and redo prompts fit it
+  const deck = importedDeck(parsed);
+  setSelectedColors(deckColorIdentity(deck, cardPool));
+  formatSelect.value = parsed.sideboard.length > 0 && !isSingletonPool() ? 'bo3' : 'bo1';
+  adoptDeckCommander(deck);
+
+  displayDeck(deck);
+  resetConversation();
+  recordDeckVersion(deck, {
+    archetype:    $('#archetype').value,
+    instructions: $('#extra-instructions').value.trim(),
+    redoNote:     '',
+    source:       'import',
+  }, { newDeck: true });
+
+  const total = parsed.deck.reduce((sum, e) => sum + e.count, 0);
+  displayStrategy(`Imported ${total} main deck cards${deck.sideboard ? ` and a ${deck.sideboard.reduce((sum, e) => sum + e.count, 0)}-card sideboard` : ''}. Use "Refine the Deck" to tune this list or check how it fits the meta.`);
+  redoSection.classList.remove('hidden');
+  redoInput.disabled = false;
+  checkMetaBtn.classList.remove('hidden');
+}
+
+// Names with no close match in the pool are either real cards outside it or
+// typos too far off to guess; the cached pools of other formats tell which
+async function explainUnresolvedCards(problems) {
+  const unknown = problems.filter(p => p.kind === 'unresolved' && !p.suggestion);
+  const elsewhere = await findInCachedPools(unknown.map(p => p.name));
+  const displayName = FORMAT_CONFIG[selectedCardPool].displayName;
+  for (const p of unknown) {
+    const formats = (elsewhere[p.name] || []).map(f => FORMAT_CONFIG[f].displayName);
+    p.message = formats.length
+      ? `"${p.name}" is not legal in ${displayName} (it is in the ${formats.join(' and ')} card pool${formats.length === 1 ? '' : 's'})`
+      : `"${p.name}" is not in the ${displayName} card pool or any other pool loaded on this device; check the spelling`;
+  }
+}
+
+function renderImportReport(parsed, problems) {
+  importReport.innerHTML = '';
+  const summary = document.createElement('p');
+  const entries  = [...parsed.deck, ...parsed.sideboard, ...parsed.commander, ...parsed.companion].length;
+  const resolved = entries - problems.filter(p => p.kind === 'unresolved').length;
+  summary.className = `import-summary ${problems.length ? 'warn' : 'ok'}`;
+  summary.textContent = problems.length
+    ? `${resolved} entries resolved, ${problems.length} line${problems.length === 1 ? '' : 's'} need attention:`
+    : `All ${resolved} entries resolved.`;
+  importReport.appendChild(summary);
+
+  if (problems.length) {
+    const list = document.createElement('ul');
+    for (const p of problems) {
+      const li = document.createElement('li');
+      li.textContent = `Line ${p.line}: ${p.text} — ${p.message}`;
+      list.appendChild(li);
+    }
+    importReport.appendChild(list);
+  }
+  importReport.classList.remove('hidden');
+}
+
+// ============================================================
+// Limited — a pasted sealed pool or draft picks as the card list
+// ============================================================
+// The pool is read with the selected card pool's card data, so cards from
+// sets outside it are dropped; the report names the card pools that have them
+async function loadLimitedPool() {
+  const text = limitedInput.value.trim();
+  if (!text) return;
+  hideError();
+  if (isSingletonPool()) {
+    showError('Limited pools need a constructed card pool (Standard, Historic, ...) for their card data.');
+    return;
+  }
+
+  const { counts, problems } = core.parseLimitedPool(text, cardPool);
+  const displayName = FORMAT_CONFIG[selectedCardPool].displayName;
+  const unresolved  = problems.filter(p => p.kind === 'unresolved' && !p.suggestion);
+  const format      = selectedCardPool;
+  const elsewhere   = await findInCachedPools(unresolved.map(p => p.name));
+  // The card pool was switched while the other pools were read
+  if (selectedCardPool !== format) return;
+  const formats     = (name) => (elsewhere[name] || [])
+    .filter(f => !FORMAT_CONFIG[f].singleton)
+    .map(f => FORMAT_CONFIG[f].displayName);
+  for (const p of unresolved) {
+    const found = formats(p.name);
+    p.message = found.length
+      ? `not in the ${displayName} card data, but in ${found.join(' and ')}; switch the card pool and load the pool again`
+      : `not in the ${displayName} card data; check the spelling, or switch to a card pool that covers its set`;
+  }
+
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (total === 0) {
+    const found = [...new Set(unresolved.flatMap(p => formats(p.name)))];
+    showError(`None of the pasted cards are in the ${displayName} card data.${
+      found.length ? ` They are in ${found.join(' and ')}; switch the card pool and load the pool again.` : ''}`);
+    return;
+  }
+  setLimitedPool({ counts, pairs: null }, problems);
+  resetConversation();
+}
+
+function clearLimitedPool() {
+  limitedInput.value = '';
+  setLimitedPool(null);
+  resetConversation();
+}
+
+function setLimitedPool(pool, problems = []) {
+  limitedPool = pool;
+  formatSelect.disabled = Boolean(pool) || isSingletonPool();
+  if (pool) formatSelect.value = 'bo1';
+  if (currentDeck) sideboardGuideBtn.classList.toggle('hidden', !currentDeck.sideboard?.length || Boolean(pool));
+  renderLimitedPool(problems);
+}
+
+function renderLimitedPool(problems = []) {
+  limitedStatus.innerHTML = '';
+  limitedSuggestBtn.disabled = !limitedPool;
+  if (!limitedPool) {
+    limitedStatus.textContent = 'No pool loaded — decks are built from the whole card pool.';
+    renderColorPairs();
+    return;
+  }
+
+  const total = Object.values(limitedPool.counts).reduce((a, b) => a + b, 0);
+  const summary = document.createElement('p');
+  summary.className = `import-summary ${problems.length ? 'warn' : 'ok'}`;
+  summary.textContent = `${total} cards (${Object.keys(limitedPool.counts).length} different) plus basic lands, read with the ${
+    FORMAT_CONFIG[selectedCardPool].displayName} card data${currentPoolRecord ? ` as of ${formatDataDate(currentPoolRecord.updatedAt)}` : ''}. Decks are ${
+    core.LIMITED_RULES.mainDeckSize}+ cards from this pool.${
+    problems.length ? ` ${problems.length} line${problems.length === 1 ? '' : 's'} skipped:` : ''}`;
+  limitedStatus.appendChild(summary);
+  if (problems.length) {
+    const list = document.createElement('ul');
+    for (const p of problems) {
+      const li = document.createElement('li');
+      li.textContent = `Line ${p.line}: ${p.text} — ${p.message}`;
+      list.appendChild(li);
+    }
+    limitedStatus.appendChild(list);
+  }
+  renderColorPairs();
+}
+
+// The model's two best pairs, each next to the local counts it was given
+async function suggestColorPairs() {
+  if (!limitedPool) return;
+  hideError();
+
+  // Pair suggestions get their own short IDs: just the pool's cards
+  const { counts } = limitedPool;
+  const list     = core.buildCardList(cardPool, Object.keys(counts), core.limitedLineNote(counts));
+  const pairRows = core.analyzeColorPairs(cardPool, counts);
+
+  activeRequest = new AbortController();
+  const { signal } = activeRequest;
+  setBusy(true);
+  showProgress('Reading the pool for its best color pairs...', false);
+
+  try {
+    const reply = await requestChatCompletion([
+      { role: 'system', content: core.buildLimitedSystemPrompt() },
+      { role: 'user',   content: core.buildColorPairPrompt({ cardListText: list.text, pairRows }) },
+    ], { responseFormat: core.COLOR_PAIRS_FORMAT, signal });
+    const { pairs, schemaErrors } = core.parseColorPairs(reply, list.idMap);
+    if (!pairs) {
+      showError(`The reply didn't match the color pair format: ${schemaErrors.join('; ')}`);
+      return;
+    }
+    limitedPool.pairs = pairs.map(p => ({ ...p, counts: pairRows.find(r => r.colors === p.colors) }));
+    renderColorPairs();
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      showError(err.message);
+      console.error('API error:', err);
+    }
+  } finally {
+    activeRequest = null;
+    hideProgress();
+    setBusy(false);
+  }
+}
+
+function renderColorPairs() {
+  limitedPairs.innerHTML = '';
+  const pairs = limitedPool?.pairs || [];
+  limitedPairs.classList.toggle('hidden', pairs.length === 0);
+
+  for (const pair of pairs) {
+    const item = document.createElement('div');
+    item.className = 'limited-pair';
+    item.innerHTML = `
+      <div class="limited-pair-title"><strong></strong><span class="limited-pair-counts"></span></div>
+      <p class="limited-pair-reason"></p>
+      <p class="limited-pair-keys"></p>
+      <button type="button" class="btn-library">Build This Pair</button>`;
+    item.querySelector('strong').textContent = pair.colors.split('').map(c => core.COLOR_NAMES[c]).join('-');
+    if (pair.counts) {
+      const c = pair.counts;
+      item.querySelector('.limited-pair-counts').textContent = `${c.playables} playables · ${c.creatures} creatures · ${c.removal} removal · ${c.rares} rares`;
+    }
+    item.querySelector('.limited-pair-reason').textContent = pair.reason;
+    item.querySelector('.limited-pair-keys').textContent = pair.keyCards.length ? `Key cards: ${pair.keyCards.join(', ')}` : '';
+    item.querySelector('button').dataset.pair = pair.colors;
+    limitedPairs.appendChild(item);
+  }
+}
+
+// Both colors must be played; colorless cards stay in
+function buildColorPair(colors) {
+  colorModeSelect.value = 'exact';
+  updateColorMode();
+  setSelectedColors([...colors.split(''), 'C']);
+  generateDeck();
+}
+
+// ============================================================
+// Collection & wildcards
+// ============================================================
+// Keys ignore case and the back face so Arena's front-face names match
+function collectionKey(name) {
+  return name.toLowerCase().split(' // ')[0].trim();
+}
+
+function ownedCount(name) {
+  return collection[collectionKey(name)] || 0;
+}
+
+function loadCollection() {
+  try {
+    collection = JSON.parse(localStorage.getItem(COLLECTION_STORAGE_KEY)) || {};
+  } catch {
+    collection = {};
+  }
+  renderCollectionStatus();
+}
+
+// Accepts "4 Card Name (SET) 123" lines as well as CSV exports from
+// collection trackers ("Name,Count" or "Count,Name", optional header row).
+function parseCollectionText(text) {
+  const owned = {};
+  const add = (name, count) => {
+    if (!name || !(count > 0)) return;
+    const key = collectionKey(name);
+    owned[key] = Math.min((owned[key] || 0) + count, DECK_RULES.maxCopies);
+  };
+
+  let nameCol = -1, countCol = -1;
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.includes(',')) {
+      const cols = trimmed.match(/("([^"]|"")*"|[^,]*)(,|$)/g)
+        .map(c => c.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"').trim());
+      const lower = cols.map(c => c.toLowerCase());
+      if (lower.includes('name')) {
+        nameCol  = lower.indexOf('name');
+        countCol = lower.findIndex(c => ['count', 'quantity', 'qty', 'owned'].includes(c));
+        continue;
+      }
+      if (nameCol >= 0 && countCol >= 0) {
+        add(cols[nameCol], parseInt(cols[countCol], 10));
+        continue;
+      }
+      const countIdx = cols.findIndex(c => /^\d+$/.test(c));
+      const nameIdx  = cols.findIndex(c => c && !/^\d+$/.test(c));
+      if (countIdx >= 0 && nameIdx >= 0) add(cols[nameIdx], parseInt(cols[countIdx], 10));
+      continue;
+    }
+
+    const match = trimmed.match(/^(\d+)x?\s+(.+?)(?:\s+\(([A-Za-z0-9]+)\)(?:\s+\S+)?)?$/)
+      || trimmed.match(/^()(.+?)\s+x(\d+)$/i);
+    if (match) add(match[2], parseInt(match[1] || match[3], 10));
+  }
+  return owned;
+}
+
+function saveCollection(text) {
+  const owned = parseCollectionText(text);
+  if (Object.keys(owned).length === 0) {
+    collectionStatus.textContent = 'No cards found — paste lines like "4 Card Name" or a Name,Count CSV.';
     return;
   }
+  collection = owned;
+  localStorage.setItem(COLLECTION_STORAGE_KEY, JSON.stringify(collection));
+  collectionInput.value = '';
+  renderCollectionStatus();
+  if (currentDeck) computeAndDisplayStats(currentDeck);
+}
 
-  const metaContext = buildMetaContextText(meta);
-  const cfg = FORMAT_CONFIG[selectedCardPool];
-  const prompt = `${metaContext}
+function clearCollection() {
+  collection = {};
+  localStorage.removeItem(COLLECTION_STORAGE_KEY);
+  collectionMode.value = 'all';
+  wildcardBudget.classList.add('hidden');
+  renderCollectionStatus();
+  if (currentDeck) computeAndDisplayStats(currentDeck);
+}
+
+function renderCollectionStatus() {
+  const unique = Object.keys(collection).length;
+  const total  = Object.values(collection).reduce((sum, n) => sum + n, 0);
+  collectionStatus.textContent = unique
+    ? `${total} cards (${unique} unique) saved in this browser.`
+    : 'No collection saved — every card is treated as owned.';
+  collectionMode.disabled = unique === 0;
+}
+
+function getWildcardBudget() {
+  const budget = {};
+  for (const rarity of WILDCARD_RARITIES) {
+    budget[rarity] = Math.max(0, parseInt($(`#wildcard-${rarity}`).value, 10) || 0);
+  }
+  return budget;
+}
+
+// Arena rarities outside the four wildcard tiers (special, bonus) are crafted as rares
+function wildcardRarity(rarity) {
+  return WILDCARD_RARITIES.includes(rarity) ? rarity : 'rare';
+}
+
+function computeWildcardBill(parsed) {
+  const copies = {};
+  for (const entry of [...parsed.deck, ...(parsed.sideboard || []), ...(parsed.commander || [])]) {
+    copies[entry.name] = (copies[entry.name] || 0) + entry.count;
+  }
+
+  const totals = Object.fromEntries(WILDCARD_RARITIES.map(r => [r, 0]));
+  const missing = [];
+  for (const [name, count] of Object.entries(copies)) {
+    const card = cardPool.cards[name];
+    if (!card || card.typeLine.includes('Basic Land')) continue;
+    const needed = Math.min(count, DECK_RULES.maxCopies) - ownedCount(name);
+    if (needed <= 0) continue;
+    const rarity = wildcardRarity(card.rarity);
+    totals[rarity] += needed;
+    missing.push({ name, needed, rarity });
+  }
+  const total = Object.values(totals).reduce((sum, n) => sum + n, 0);
+  return { totals, total, missing };
+}
+
+function buildCollectionConstraintText() {
+  const mode = collectionMode.value;
+  if (mode === 'owned') {
+    return '\nCOLLECTION: Only use cards I own. Each card above lists "own N" — never include more copies than I own (basic lands are unlimited).\n';
+  }
+  if (mode === 'wildcards') {
+    const budget = getWildcardBudget();
+    return `\nCOLLECTION: Each card above lists its rarity and how many copies I own ("own N"). Every copy beyond what I own costs a wildcard of that rarity. Spend at most: ${
+      WILDCARD_RARITIES.map(r => `${budget[r]} ${r}`).join(', ')
+    } wildcards. Prefer owned cards when they do the same job.\n`;
+  }
+  return '';
+}
+
+function buildCollectionCheck(parsed) {
+  const mode = collectionMode.value;
+  if (mode === 'all') return null;
+
+  const bill = computeWildcardBill(parsed);
+  if (mode === 'owned') {
+    return {
+      label:    'Collection',
+      detail:   'Owned cards only',
+      problems: bill.missing.map(m => ({
+        card:    m.name,
+        message: `${m.name} needs ${m.needed} more cop${m.needed === 1 ? 'y' : 'ies'} than you own`,
+      })),
+    };
+  }
+
+  const budget = getWildcardBudget();
+  return {
+    label:    'Wildcard Budget',
+    detail:   WILDCARD_RARITIES.map(r => `${r[0].toUpperCase()} ${bill.totals[r]}/${budget[r]}`).join(' · '),
+    problems: WILDCARD_RARITIES
+      .filter(r => bill.totals[r] > budget[r])
+      .map(r => ({
+        cards:   bill.missing.filter(m => m.rarity === r).map(m => m.name),
+        message: `Needs ${bill.totals[r]} ${r} wildcards (budget ${budget[r]}): ${
+          bill.missing.filter(m => m.rarity === r).map(m => `${m.needed}x ${m.name}`).join(', ')
+        }`,
+      })),
+  };
+}
+
+// Follow-up that keeps the deck's shape but swaps unowned cards, most
+// expensive rarities first
+async function reduceWildcards() {
+  if (!currentDeck) return;
+  const bill = computeWildcardBill(currentDeck);
+  if (bill.total === 0) return;
+
+  const order = [...WILDCARD_RARITIES].reverse();
+  const targets = [...bill.missing]
+    .sort((a, b) => order.indexOf(a.rarity) - order.indexOf(b.rarity) || b.needed - a.needed)
+    .map(m => `${m.needed}x ${m.name} (${m.rarity})`);
+
+  await refineDeck(`Lower the wildcard cost of this deck (currently ${
+    WILDCARD_RARITIES.map(r => `${bill.totals[r]} ${r}`).join(', ')
+  }). Replace unowned copies with cards I own that fill the same role, starting with: ${targets.join(', ')}.`);
+}
+
+// ============================================================
+// Deck Library — saved decks with a version per generate/redo
+// ============================================================
+function loadLibrary() {
+  try {
+    library = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY)) || [];
+  } catch {
+    library = [];
+  }
+  renderLibrary();
+}
+
+function persistLibrary() {
+  try {
+    localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch (err) {
+    console.error('Library save error:', err);
+    showError('Could not save to the deck library — browser storage may be full.');
+  }
+  renderLibrary();
+}
+
+function defaultDeckName(archetype) {
+  const { splash } = colorRequest();
+  const colors = `${Array.from(selectedColors).join('')}${splash.length ? `+${splash.join('')}` : ''}`;
+  const label  = archetype.charAt(0).toUpperCase() + archetype.slice(1);
+  if (limitedPool) return `${label} ${colors} (Limited)`;
+  return `${selectedCommander ? `${selectedCommander} ${label}` : `${label} ${colors}`} (${FORMAT_CONFIG[selectedCardPool].displayName})`;
+}
+
+// Snapshots the displayed deck with everything needed to reopen it. A new
+// library entry is started for fresh generations and imports; redo results
+// become the next version of the deck currently open.
+function recordDeckVersion(parsed, { archetype, instructions, redoNote, source }, { newDeck }) {
+  const now = new Date().toISOString();
+  let entry = !newDeck && library.find(d => d.id === currentLibraryDeckId);
+  if (!entry) {
+    entry = { id: crypto.randomUUID(), name: defaultDeckName(archetype), createdAt: now, updatedAt: now, versions: [] };
+    library.unshift(entry);
+    // A guide belongs to the deck it was written for
+    sideboardGuide = null;
+    renderSideboardGuide();
+  }
+
+  entry.versions.push({
+    id:          crypto.randomUUID(),
+    savedAt:     now,
+    source,
+    format:      selectedCardPool,
+    matchFormat: formatSelect.value,
+    colors:      Array.from(selectedColors),
+    colorMode:   colorModeSelect.value,
+    splash:      colorRequest().splash,
+    limited:     limitedPool?.counts || null,
+    archetype,
+    instructions,
+    redoNote,
+    strategy:    parsed.explanation || '',
+    deck: {
+      deck:      parsed.deck,
+      sideboard: parsed.sideboard || null,
+      commander: parsed.commander || null,
+      companion: parsed.companion || null,
+    },
+  });
+  entry.updatedAt = now;
+  currentLibraryDeckId = entry.id;
+  persistLibrary();
+}
+
+async function openDeckVersion(deckId, versionId) {
+  const entry   = library.find(d => d.id === deckId);
+  const version = entry?.versions.find(v => v.id === versionId);
+  if (!version) return;
+
+  if (version.format !== selectedCardPool) await switchCardPool(version.format);
+  setLimitedPool(version.limited ? { counts: version.limited, pairs: null } : null);
+  colorModeSelect.value = version.colorMode || 'subset';
+  updateColorMode();
+  setSelectedColors(version.colors, version.splash);
+  formatSelect.value = version.matchFormat;
+  adoptDeckCommander(version.deck);
+  $('#archetype').value = version.archetype;
+  $('#extra-instructions').value = version.instructions || '';
+
+  sideboardGuide = version.sideboardGuide || null;
+  displayDeck({ ...version.deck, explanation: version.strategy });
+  displayStrategy(version.strategy || `Opened ${entry.name}.`);
+  currentLibraryDeckId = entry.id;
+  resetConversation();
+  redoSection.classList.remove('hidden');
+  redoInput.disabled = false;
+  checkMetaBtn.classList.remove('hidden');
+  renderLibrary();
+}
+
+function renameLibraryDeck(deckId) {
+  const entry = library.find(d => d.id === deckId);
+  if (!entry) return;
+  const name = prompt('Rename deck', entry.name)?.trim();
+  if (!name) return;
+  entry.name = name;
+  persistLibrary();
+}
+
+function deleteLibraryDeck(deckId) {
+  const entry = library.find(d => d.id === deckId);
+  if (!entry || !confirm(`Delete "${entry.name}" and all ${entry.versions.length} version(s)?`)) return;
+  library = library.filter(d => d.id !== deckId);
+  if (currentLibraryDeckId === deckId) currentLibraryDeckId = null;
+  persistLibrary();
+}
+
+// Card-by-card change from version `a` to version `b`, per section
+function diffDeckVersions(a, b) {
+  const diff = {};
+  for (const section of ['commander', 'companion', 'deck', 'sideboard']) {
+    const counts = {};
+    for (const e of a.deck[section] || []) counts[e.name] = (counts[e.name] || 0) - e.count;
+    for (const e of b.deck[section] || []) counts[e.name] = (counts[e.name] || 0) + e.count;
+    const changes = Object.entries(counts)
+      .filter(([, delta]) => delta !== 0)
+      .map(([name, delta]) => ({ name, delta }))
+      .sort((x, y) => y.delta - x.delta || x.name.localeCompare(y.name));
+    if (changes.length) diff[section] = changes;
+  }
+  return diff;
+}
+
+function versionLabel(version, index) {
+  const when = new Date(version.savedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  const note = version.source === 'redo' && version.redoNote ? `redo: ${version.redoNote}` : version.source;
+  return `v${index + 1} · ${note}${version.sideboardGuide ? ' · guide' : ''} · ${when}`;
+}
+
+function renderLibrary() {
+  libraryList.innerHTML = '';
+  if (library.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'library-empty';
+    empty.textContent = 'Generated, refined and imported decks are saved here automatically.';
+    libraryList.appendChild(empty);
+    return;
+  }
+
+  for (const entry of library) {
+    const item = document.createElement('details');
+    item.className = `library-deck${entry.id === currentLibraryDeckId ? ' current' : ''}`;
+
+    const summary = document.createElement('summary');
+    const title = document.createElement('span');
+    title.className = 'library-name';
+    title.textContent = entry.name;
+    const meta = document.createElement('span');
+    meta.className = 'library-meta';
+    meta.textContent = `${entry.versions.length} version${entry.versions.length === 1 ? '' : 's'} · ${new Date(entry.updatedAt).toLocaleDateString()}`;
+    summary.append(title, meta);
+    item.appendChild(summary);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    for (const [label, handler] of [
+      ['Open Latest', () => openDeckVersion(entry.id, entry.versions[entry.versions.length - 1].id)],
+      ['Rename',      () => renameLibraryDeck(entry.id)],
+      ['Delete',      () => deleteLibraryDeck(entry.id)],
+    ]) {
+      const btn = document.createElement('button');
+      btn.className = 'btn-library';
+      btn.textContent = label;
+      btn.addEventListener('click', handler);
+      actions.appendChild(btn);
+    }
+    item.appendChild(actions);
+
+    const versions = document.createElement('ol');
+    versions.className = 'library-versions';
+    entry.versions.forEach((version, i) => {
+      const li = document.createElement('li');
+      const open = document.createElement('button');
+      open.className = 'library-version';
+      open.textContent = versionLabel(version, i);
+      open.addEventListener('click', () => openDeckVersion(entry.id, version.id));
+      li.appendChild(open);
+      versions.appendChild(li);
+    });
+    item.appendChild(versions);
+
+    if (entry.versions.length > 1) item.appendChild(buildDiffControls(entry));
+    libraryList.appendChild(item);
+  }
+}
+
+function buildDiffControls(entry) {
+  const wrap = document.createElement('div');
+  wrap.className = 'library-diff';
+
+  const makeSelect = (selectedIndex) => {
+    const select = document.createElement('select');
+    entry.versions.forEach((v, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = `v${i + 1}`;
+      opt.selected = i === selectedIndex;
+      select.appendChild(opt);
+    });
+    return select;
+  };
+  const fromSelect = makeSelect(entry.versions.length - 2);
+  const toSelect   = makeSelect(entry.versions.length - 1);
+  const output = document.createElement('div');
+  output.className = 'library-diff-output';
+
+  const render = () => {
+    const diff = diffDeckVersions(entry.versions[fromSelect.value], entry.versions[toSelect.value]);
+    output.innerHTML = '';
+    const sections = Object.keys(diff);
+    if (sections.length === 0) {
+      output.textContent = 'No card changes between these versions.';
+      return;
+    }
+    for (const section of sections) {
+      const head = document.createElement('div');
+      head.className = 'diff-section';
+      head.textContent = section.charAt(0).toUpperCase() + section.slice(1);
+      output.appendChild(head);
+      for (const { name, delta } of diff[section]) {
+        const line = document.createElement('div');
+        line.className = `diff-line ${delta > 0 ? 'added' : 'removed'}`;
+        line.textContent = `${delta > 0 ? '+' : '−'}${Math.abs(delta)} ${name}`;
+        output.appendChild(line);
+      }
+    }
+  };
+  fromSelect.addEventListener('change', render);
+  toSelect.addEventListener('change', render);
+
+  const label = document.createElement('span');
+  label.textContent = 'Compare';
+  const arrow = document.createElement('span');
+  arrow.textContent = '→';
+  const controls = document.createElement('div');
+  controls.className = 'library-diff-controls';
+  controls.append(label, fromSelect, arrow, toSelect);
+  wrap.append(controls, output);
+  render();
+  return wrap;
+}
+
+// ============================================================
+// Card Pool Browser & build constraints
+// ============================================================
+const BROWSER_RESULT_LIMIT = 60;
+
+function searchCardPool({ name, type, text, keyword, cmc, color, rarity }) {
+  const q = (v) => v.trim().toLowerCase();
+  const [nameQ, typeQ, textQ, keywordQ] = [name, type, text, keyword].map(q);
+
+  return cardPool.names.filter(cardName => {
+    const card = cardPool.cards[cardName];
+    if (nameQ && !cardName.toLowerCase().includes(nameQ)) return false;
+    if (typeQ && !card.typeLine.toLowerCase().includes(typeQ)) return false;
+    if (textQ && !(card.oracleText || '').toLowerCase().includes(textQ)) return false;
+    if (keywordQ && !(card.keywords || []).some(k => k.toLowerCase().includes(keywordQ))) return false;
+    if (rarity && card.rarity !== rarity) return false;
+    if (cmc !== '') {
+      const value = Math.floor(card.cmc || 0);
+      if (cmc === '7' ? value < 7 : value !== Number(cmc)) return false;
+    }
+    if (color === 'C' && card.colorIdentity.length > 0) return false;
+    if (color === 'M' && card.colorIdentity.length < 2) return false;
+    if (WUBRG.includes(color) && !card.colorIdentity.includes(color)) return false;
+    return true;
+  });
+}
+
+function renderCardBrowser() {
+  const matches = searchCardPool({
+    name:    $('#browser-name').value,
+    type:    $('#browser-type').value,
+    text:    $('#browser-text').value,
+    keyword: $('#browser-keyword').value,
+    cmc:     $('#browser-cmc').value,
+    color:   $('#browser-color').value,
+    rarity:  $('#browser-rarity').value,
+  });
+
+  browserResults.innerHTML = '';
+  const count = document.createElement('p');
+  count.className = 'browser-count';
+  count.textContent = matches.length > BROWSER_RESULT_LIMIT
+    ? `Showing ${BROWSER_RESULT_LIMIT} of ${matches.length} matches — narrow the search to see more.`
+    : `${matches.length} match${matches.length === 1 ? '' : 'es'}`;
+  browserResults.appendChild(count);
+
+  const rules = core.deckRules(selectedCardPool);
+  for (const name of matches.slice(0, BROWSER_RESULT_LIMIT)) {
+    const card = cardPool.cards[name];
+    const row = document.createElement('div');
+    row.className = 'browser-card';
+    row.title = card.oracleText || '';
+
+    const info = document.createElement('div');
+    info.className = 'browser-card-info';
+    const title = document.createElement('span');
+    title.className = 'browser-card-name';
+    title.textContent = name;
+    const meta = document.createElement('span');
+    meta.className = 'browser-card-meta';
+    meta.textContent = `${card.manaCost || '—'} · ${card.typeLine} · ${card.rarity}`;
+    info.append(title, meta);
+
+    const copies = document.createElement('input');
+    copies.type = 'number';
+    copies.min = 1;
+    copies.max = isCopyLimitExempt(name) ? rules.mainDeckSize : rules.maxCopies;
+    copies.value = cardConstraints.include[name] || (isCopyLimitExempt(name) ? 1 : rules.maxCopies);
+    copies.className = 'browser-copies';
+
+    const pin = document.createElement('button');
+    pin.className = 'btn-library';
+    pin.textContent = cardConstraints.include[name] ? 'Update' : 'Include';
+    pin.addEventListener('click', () => pinCard(name, parseInt(copies.value, 10)));
+
+    const ban = document.createElement('button');
+    ban.className = 'btn-library ban';
+    ban.textContent = cardConstraints.exclude.has(name) ? 'Banned' : 'Ban';
+    ban.disabled = cardConstraints.exclude.has(name);
+    ban.addEventListener('click', () => banCard(name));
+
+    row.append(info, copies, pin, ban);
+    browserResults.appendChild(row);
+  }
+}
+
+function pinCard(name, count) {
+  if (!(count > 0)) return;
+  const max = isCopyLimitExempt(name) ? Infinity : core.deckRules(selectedCardPool).maxCopies;
+  cardConstraints.exclude.delete(name);
+  cardConstraints.include[name] = Math.min(count, max);
+  renderConstraints();
+  renderCardBrowser();
+}
+
+function banCard(name) {
+  delete cardConstraints.include[name];
+  cardConstraints.exclude.add(name);
+  renderConstraints();
+  renderCardBrowser();
+}
+
+function removeConstraint(name) {
+  delete cardConstraints.include[name];
+  cardConstraints.exclude.delete(name);
+  renderConstraints();
+  renderCardBrowser();
+}
+
+// Also caps pinned copies at the new format's limit (one in Brawl)
+function pruneConstraintsToPool() {
+  const { maxCopies } = core.deckRules(selectedCardPool);
+  for (const [name, count] of Object.entries(cardConstraints.include)) {
+    if (!cardPool.cards[name]) delete cardConstraints.include[name];
+    else if (!isCopyLimitExempt(name)) cardConstraints.include[name] = Math.min(count, maxCopies);
+  }
+  for (const name of cardConstraints.exclude) {
+    if (!cardPool.cards[name]) cardConstraints.exclude.delete(name);
+  }
+  renderConstraints();
+}
+
+function renderConstraints() {
+  constraintList.innerHTML = '';
+  const entries = [
+    ...Object.entries(cardConstraints.include).map(([name, count]) => ({ name, label: `${count}× ${name}`, kind: 'include' })),
+    ...[...cardConstraints.exclude].map(name => ({ name, label: name, kind: 'exclude' })),
+  ];
+  if (entries.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'constraint-empty';
+    empty.textContent = 'No pinned or banned cards.';
+    constraintList.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const chip = document.createElement('span');
+    chip.className = `constraint-chip ${entry.kind}`;
+    chip.textContent = `${entry.kind === 'include' ? 'Must include' : 'Banned'}: ${entry.label}`;
+    if (entry.kind === 'include' && !fitsSelectedColors(cardPool.cards[entry.name])) {
+      chip.title = 'Outside the selected colors — it will still be offered to the model';
+      chip.classList.add('off-color');
+    }
+    const remove = document.createElement('button');
+    remove.className = 'constraint-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => removeConstraint(entry.name));
+    chip.appendChild(remove);
+    constraintList.appendChild(chip);
+  }
+}
+
+function buildCardConstraintText() {
+  return core.buildCardConstraintText(cardConstraints, cardNameToId);
+}
 
-Here is my current deck:
-${currentDeckText}
+// Pins are checked against the main deck; bans against main deck and sideboard
+function buildConstraintCheck(parsed, copies) {
+  const include = Object.entries(cardConstraints.include);
+  const exclude = [...cardConstraints.exclude];
+  if (include.length === 0 && exclude.length === 0) return null;
+
+  const main = {};
+  for (const e of parsed.deck) main[e.name] = (main[e.name] || 0) + e.count;
+
+  const problems = [
+    ...include
+      .filter(([name, count]) => (main[name] || 0) < count)
+      .map(([name, count]) => ({ card: name, message: `${name} is pinned at ${count} but the main deck has ${main[name] || 0}` })),
+    ...exclude
+      .filter(name => copies[name])
+      .map(name => ({ message: `${name} is banned from this build but the deck has ${copies[name]}` })),
+  ];
+  return {
+    label:    'Card Constraints',
+    detail:   `${include.length} pinned · ${exclude.length} banned`,
+    problems,
+  };
+}
+
+// ============================================================
+// Meta Game Check
+// ============================================================
+async function loadMetaData(format) {
+  if (metaDataCache[format] !== undefined) return metaDataCache[format];
+  const file = `meta/${format}-meta.json`;
+  let meta = null, errors = [];
+  try {
+    const response = await fetch(`/${file}`);
+    if (response.ok) {
+      meta = await response.json().catch(() => null);
+      errors = meta ? core.validateMetaData(meta, file) : [`${file} is not valid JSON`];
+    }
+  } catch {
+    // Offline with no cached copy: same as no file
+  }
+  if (errors.length > 0) {
+    console.warn(`Ignoring ${file}:\n${errors.join('\n')}`);
+    meta = null;
+  }
+  metaDataCache[format] = { meta, errors };
+  return metaDataCache[format];
+}
+
+// The pool's meta snapshot, or null after explaining in the strategy panel
+// why there isn't one
+async function requireMetaData() {
+  const { meta, errors } = await loadMetaData(selectedCardPool);
+  const poolName = FORMAT_CONFIG[selectedCardPool].displayName;
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 8).map(e => `• ${e}`);
+    if (errors.length > shown.length) shown.push(`• …and ${errors.length - shown.length} more`);
+    displayStrategy(`The meta file for ${poolName} doesn't match the expected format:\n${shown.join('\n')}`);
+  } else if (!meta) {
+    displayStrategy(`No meta data found for ${poolName}. Add a meta/${selectedCardPool}-meta.json file to enable this feature.`);
+  }
+  return meta;
+}
+
+async function checkMetaFit() {
+  if (!currentDeckText) return;
 
-Please analyze:
-1. Where does this deck fit in the current meta? Is it well-positioned, fringe, or likely to struggle?
-2. Which top-tier decks pose the biggest threats, and how does my deck handle them?
-3. What 2-3 specific adjustments (card swaps or sideboard additions) would most improve my meta positioning?
+  const meta = await requireMetaData();
+  if (!meta) return;
 
-Answer concisely without re-outputting the full deck list.`;
+  const report = renderMetaMatchups(currentDeck);
+  metaSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+  const cfg = FORMAT_CONFIG[selectedCardPool];
+  const prompt = buildMetaCheckPrompt(meta, currentDeckText, report);
 
   await callChatGPT([
-    { role: 'system', content: buildSystemPrompt(cfg.displayName) },
+    { role: 'system', content: buildSystemPrompt(cfg.displayName, core.deckRules(selectedCardPool)) },
     { role: 'user',   content: prompt },
   ]);
 }
 
+// Matchup table for the current pool's meta, once Check Meta Fit has loaded
+// it; later edits re-render it. Returns the report, or null with no meta.
+function renderMetaMatchups(parsed) {
+  const meta = metaDataCache[selectedCardPool]?.meta;
+  if (!meta) {
+    metaSection.classList.add('hidden');
+    return null;
+  }
+  const report = core.analyzeMetaMatchups(parsed, cardPool, meta);
+  const pct = (fraction) => `${Math.round(100 * fraction)}%`;
+  const { interaction, closest } = report;
+
+  metaMatchups.innerHTML = `
+    <div class="meta-summary">
+      Interaction <strong>${pct(interaction.density)}</strong> of nonland cards (${core.formatInteraction(interaction)}) ·
+      Weighted meta overlap <strong>${pct(report.overlap)}</strong>
+      <span class="meta-closest"></span>
+      ${report.listed < report.rows.length
+        ? `<div class="meta-coverage">Key cards are listed for ${report.listed} of ${report.rows.length} meta decks; the others are compared on colors only.</div>`
+        : ''}
+    </div>
+    <table class="meta-table">
+      <thead><tr><th>Tier</th><th>Meta deck</th><th>Colors</th><th>Win rate</th><th>Weight</th><th>Key cards</th><th title="Removal · counters · sweepers among their listed key cards">Their interaction</th><th>Similarity</th></tr></thead>
+      <tbody></tbody>
+    </table>`;
+  if (closest) metaMatchups.querySelector('.meta-closest').textContent = ` · Closest: ${closest.name}`;
+
+  const tbody = metaMatchups.querySelector('tbody');
+  for (const row of report.rows) {
+    const tr = document.createElement('tr');
+    const theirs = row.theirInteraction;
+    for (const text of [
+      row.tier,
+      row.name,
+      row.colors.join('') || 'C',
+      `${(100 * row.winRate).toFixed(1)}%`,
+      pct(row.weight),
+      row.keyCards.length ? `${row.sharedKeys.length}/${row.keyCards.length}` : '—',
+      theirs ? `${theirs.removal}R · ${theirs.counter}C · ${theirs.sweeper}S` : '—',
+      pct(row.similarity),
+    ]) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    if (row.sharedKeys.length) tr.title = `Key cards you also play: ${row.sharedKeys.join(', ')}`;
+    tbody.appendChild(tr);
+  }
+  metaSection.classList.remove('hidden');
+  return report;
+}
+
+// ============================================================
+// Sideboard Guide — IN / OUT plans per meta deck, on the play and draw
+// ============================================================
+async function buildSideboardGuide() {
+  if (!currentDeck?.sideboard?.length || limitedPool) return;
+  hideError();
+  const meta = await requireMetaData();
+  if (!meta) return;
+
+  // The guide gets its own short IDs: just the deck's cards, with oracle text
+  const deck  = currentDeck;
+  const names = [...new Set([...deck.deck, ...deck.sideboard].map(e => e.name))].filter(n => cardPool.cards[n]);
+  const list  = core.buildCardList(cardPool, names);
+  const metaDecks = core.listMetaDecks(meta);
+  const cfg = FORMAT_CONFIG[selectedCardPool];
+
+  // Every batch needs one request; repairs only use what's left over
+  const budget = requestsLeft();
+  const { min } = core.sideboardGuideRequests(metaDecks.length);
+  if (budget < min) {
+    showError(`The sideboard guide needs ${min} requests and ${budget} are left in this session's limit. Try again in about ${minutesUntilRequests(min)} minutes.`);
+    return;
+  }
+
+  activeRequest = new AbortController();
+  const { signal } = activeRequest;
+  setBusy(true);
+  showProgress(`Writing the sideboard guide (0 of ${metaDecks.length} matchups)...`, false);
+
+  try {
+    const { matchups, error } = await core.requestSideboardGuide(deck, metaDecks, {
+      complete:     requestChatCompletion,
+      system:       buildSystemPrompt(cfg.displayName, currentDeckRules()),
+      cardListText: list.text,
+      rules:        currentDeckRules(),
+      idMap:        list.idMap,
+      nameToId:     list.nameToId,
+      maxRequests:  budget,
+      signal,
+      onBatch:      (done, total) => showProgress(`Writing the sideboard guide (${done} of ${total} matchups)...`, false),
+    });
+    const guide = {
+      deckText:  formatDeckText(deck),
+      meta:      { format: meta.format, lastUpdated: meta.lastUpdated, source: meta.source },
+      createdAt: new Date().toISOString(),
+      matchups,
+      ...(error && { incomplete: { total: metaDecks.length, error: error.message } }),
+    };
+    if (error) console.error('Sideboard guide stopped early:', error);
+    storeSideboardGuide(guide);
+    sideboardGuide = guide;
+    renderSideboardGuide();
+    guideSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      displayStrategy('Sideboard guide cancelled.');
+    } else {
+      displayStrategy(`Error: ${err.message}`);
+      if (err.code && err.code !== 'upstream_error') showError(err.message);
+      console.error('API error:', err);
+    }
+  } finally {
+    activeRequest = null;
+    hideProgress();
+    setBusy(false);
+  }
+}
+
+// Guides are kept on the library version they were written for; a list
+// with unsaved edits is saved as a new version first
+function storeSideboardGuide(guide) {
+  let version = library.find(d => d.id === currentLibraryDeckId)?.versions.at(-1);
+  if (!version || formatDeckText(version.deck) !== guide.deckText) {
+    recordDeckVersion(currentDeck, {
+      archetype:    $('#archetype').value,
+      instructions: $('#extra-instructions').value.trim(),
+      redoNote:     '',
+      source:       'edited',
+    }, { newDeck: !version });
+    saveEditsBtn.classList.add('hidden');
+    version = library.find(d => d.id === currentLibraryDeckId).versions.at(-1);
+  }
+  version.sideboardGuide = guide;
+  persistLibrary();
+}
+
+function renderSideboardGuide() {
+  guideOutput.innerHTML = '';
+  guideSection.classList.toggle('hidden', !sideboardGuide);
+  if (!sideboardGuide) return;
+
+  const stale = sideboardGuide.deckText !== currentDeckText;
+  const { meta, matchups } = sideboardGuide;
+  const { incomplete } = sideboardGuide;
+  guideStatus.textContent = stale
+    ? 'Written for an earlier version of this list — some swaps may no longer match. Build the guide again to update it.'
+    : incomplete
+    ? `${matchups.length} of ${incomplete.total} matchups — stopped early: ${incomplete.error} Build the guide again later to cover the rest.`
+    : `${matchups.length} matchups · ${meta.format} meta of ${meta.lastUpdated} (${meta.source})`;
+  guideStatus.classList.toggle('stale', stale || Boolean(incomplete));
+
+  for (const m of matchups) {
+    const item = document.createElement('div');
+    item.className = 'guide-matchup';
+    item.innerHTML = `
+      <div class="guide-title"><span class="guide-deck"></span><span class="guide-tier"></span></div>
+      <dl class="guide-plans"></dl>`;
+    item.querySelector('.guide-deck').textContent = m.deck;
+    item.querySelector('.guide-tier').textContent = `${m.tier}-Tier · ${m.colors.join('') || 'C'}`;
+
+    const plans = item.querySelector('.guide-plans');
+    for (const [side, label] of [['play', 'On the play'], ['draw', 'On the draw']]) {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.innerHTML = '<span class="guide-in"></span><span class="guide-out"></span>';
+      dd.querySelector('.guide-in').textContent  = `IN ${core.formatSideboardSwaps(m[side].in)}`;
+      dd.querySelector('.guide-out').textContent = `OUT ${core.formatSideboardSwaps(m[side].out)}`;
+      plans.append(dt, dd);
+    }
+
+    const note = m.missing ? 'No plan came back for this matchup — keep the main deck as is.'
+      : m.adjusted ? `${m.note} (Swaps trimmed to cards in the list.)`.trim()
+      : m.note;
+    if (note) {
+      const p = document.createElement('p');
+      p.className = 'guide-note';
+      p.textContent = note;
+      item.appendChild(p);
+    }
+    guideOutput.appendChild(item);
+  }
+}
+
+function sideboardGuideTitle() {
+  return `${exportFileName().replace(/-/g, ' ')} — Sideboard Guide`;
+}
+
+function downloadSideboardGuide() {
+  if (!sideboardGuide) return;
+  downloadFile(`${exportFileName()}-sideboard-guide.txt`, `${core.formatSideboardGuideText(sideboardGuide, sideboardGuideTitle())}\n`, 'text/plain');
+}
+
+function printSideboardGuide() {
+  if (!sideboardGuide) return;
+  const { meta, matchups } = sideboardGuide;
+  const swaps = (list) => escapeXml(core.formatSideboardSwaps(list));
+  const rows = matchups.map(m => `
+    <section>
+      <h2>${escapeXml(m.deck)} <small>${m.tier}-Tier · ${m.colors.join('') || 'C'}</small></h2>
+      <table>
+        <tr><th></th><th>IN</th><th>OUT</th></tr>
+        <tr><th>Play</th><td>${swaps(m.play.in)}</td><td>${swaps(m.play.out)}</td></tr>
+        <tr><th>Draw</th><td>${swaps(m.draw.in)}</td><td>${swaps(m.draw.out)}</td></tr>
+      </table>
+      ${m.note ? `<p>${escapeXml(m.note)}</p>` : ''}
+    </section>`).join('');
+  const title = sideboardGuideTitle();
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { font-family: Georgia, serif; margin: 2rem; color: #111; }
+    h1 { font-size: 1.4rem; margin-bottom: 0.2rem; }
+    .meta { color: #555; margin-top: 0; }
+    section { break-inside: avoid; margin-bottom: 1rem; }
+    h2 { font-size: 1rem; border-bottom: 1px solid #999; margin-bottom: 0.3rem; }
+    h2 small { font-weight: normal; color: #555; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { text-align: left; vertical-align: top; padding: 0.1rem 0.4rem; }
+    th:first-child { width: 3rem; }
+    p { font-size: 0.8rem; margin: 0.3rem 0 0; color: #333; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <p class="meta">${escapeXml(`${meta.format} meta of ${meta.lastUpdated} (${meta.source})`)}</p>
+  ${rows}
+</body>
+</html>`;
+
+  const win = window.open('', '_blank');
+  if (!win) {
+    showError('Allow pop-ups for this site to print the sideboard guide.');
+    return;
+  }
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
 // ============================================================
-// Copy to clipboard
+// Copy, export & share links
 // ============================================================
+const SHARE_HASH_PREFIX = '#deck=';
+// Scryfall set codes that Arena spells differently
+const ARENA_SET_CODES = { dom: 'DAR', con: 'CONF' };
+
 async function copyDeckToClipboard() {
   if (!currentDeckText) return;
+  await writeClipboard(currentDeckText);
+  flashCopyStatus('Copied to clipboard!');
+}
+
+async function writeClipboard(text) {
   try {
-    await navigator.clipboard.writeText(currentDeckText);
+    await navigator.clipboard.writeText(text);
   } catch {
     const ta = document.createElement('textarea');
-    ta.value = currentDeckText;
+    ta.value = text;
     document.body.appendChild(ta);
     ta.select();
     document.execCommand('copy');
     document.body.removeChild(ta);
   }
+}
+
+function flashCopyStatus(text) {
+  copyStatus.textContent = text;
   copyStatus.classList.remove('hidden');
-  setTimeout(() => copyStatus.classList.add('hidden'), 2000);
+  setTimeout(() => copyStatus.classList.add('hidden'), 2500);
+}
+
+async function exportDeck() {
+  if (!currentDeck) return;
+  const format = exportFormat.value;
+
+  if (format === 'arena') {
+    await writeClipboard(buildArenaExport(currentDeck));
+    flashCopyStatus('Arena list with set numbers copied!');
+  } else if (format === 'mtgo') {
+    downloadFile(`${exportFileName()}.dek`, buildMtgoDek(currentDeck), 'application/xml');
+  } else if (format === 'csv') {
+    downloadFile(`${exportFileName()}.csv`, buildDeckCsv(currentDeck), 'text/csv');
+  } else if (format === 'print') {
+    printDecklist(currentDeck);
+  } else if (format === 'link') {
+    await writeClipboard(await buildShareLink());
+    flashCopyStatus('Share link copied!');
+  }
+}
+
+// [header, entries] for each non-empty section, in Arena export order
+function deckSections(parsed) {
+  return [
+    ['Commander', parsed.commander],
+    ['Companion', parsed.companion],
+    ['Deck',      parsed.deck],
+    ['Sideboard', parsed.sideboard],
+  ].filter(([, entries]) => entries?.length);
+}
+
+// Arena and MTGO both list double-faced and split cards by their front face
+function frontFaceName(name) {
+  return name.split(' // ')[0];
+}
+
+function arenaCardLine(entry) {
+  const card = cardPool.cards[entry.name];
+  const line = `${entry.count} ${frontFaceName(entry.name)}`;
+  if (!card?.setCode || !card.collectorNumber) return line;
+  const set = ARENA_SET_CODES[card.setCode] || card.setCode.toUpperCase();
+  return `${line} (${set}) ${card.collectorNumber}`;
+}
+
+function buildArenaExport(parsed) {
+  return deckSections(parsed)
+    .map(([header, entries]) => `${header}\n${entries.map(arenaCardLine).join('\n')}`)
+    .join('\n\n');
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+// MTGO matches cards by CatID when we know it and by name otherwise.
+// Commanders go in the sideboard, which is how MTGO marks them.
+function buildMtgoDek(parsed) {
+  const cardLine = (entry, sideboard) => {
+    const card  = cardPool.cards[entry.name];
+    const catId = card?.mtgoId ? ` CatID="${card.mtgoId}"` : '';
+    return `  <Cards${catId} Quantity="${entry.count}" Sideboard="${sideboard}" Name="${escapeXml(frontFaceName(entry.name))}" />`;
+  };
+  const lines = [
+    ...parsed.deck.map(e => cardLine(e, false)),
+    ...[...(parsed.sideboard || []), ...(parsed.commander || [])].map(e => cardLine(e, true)),
+  ];
+  return `<?xml version="1.0" encoding="utf-8"?>
+<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <NetDeckID>0</NetDeckID>
+  <PreconstructedDeckID>0</PreconstructedDeckID>
+${lines.join('\n')}
+</Deck>
+`;
+}
+
+function buildDeckCsv(parsed) {
+  const field = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+  const rows = [['Quantity', 'Name', 'Section', 'Type', 'CMC', 'Rarity', 'Set', 'Collector Number']];
+  for (const [section, entries] of deckSections(parsed)) {
+    for (const entry of entries) {
+      const card = cardPool.cards[entry.name] || {};
+      rows.push([
+        entry.count,
+        entry.name,
+        section,
+        card.typeLine || '',
+        card.cmc ?? '',
+        card.rarity || '',
+        (card.setCode || '').toUpperCase(),
+        card.collectorNumber || '',
+      ]);
+    }
+  }
+  return rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+// Opens a print-ready page: main deck grouped by card type, then the other sections
+function printDecklist(parsed) {
+  const groups = { Creatures: [], 'Other Spells': [], Lands: [] };
+  for (const entry of parsed.deck) {
+    const card  = cardPool.cards[entry.name];
+    const group = card && isLandCard(card) ? 'Lands'
+      : card?.typeLine.includes('Creature') ? 'Creatures'
+      : 'Other Spells';
+    groups[group].push(entry);
+  }
+  const total = (entries) => entries.reduce((sum, e) => sum + e.count, 0);
+  const block = (title, entries) => entries.length === 0 ? '' : `
+    <section>
+      <h2>${escapeXml(title)} (${total(entries)})</h2>
+      <ul>${entries.map(e => `<li><span>${e.count}</span> ${escapeXml(e.name)}</li>`).join('')}</ul>
+    </section>`;
+
+  const title    = exportFileName().replace(/-/g, ' ');
+  const strategy = (parsed.explanation || '').trim();
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { font-family: Georgia, serif; margin: 2rem; color: #111; }
+    h1 { font-size: 1.4rem; margin-bottom: 0.2rem; }
+    .meta { color: #555; margin-top: 0; }
+    .columns { columns: 2; column-gap: 2rem; }
+    section { break-inside: avoid; margin-bottom: 1rem; }
+    h2 { font-size: 1rem; border-bottom: 1px solid #999; }
+    ul { list-style: none; padding: 0; margin: 0; }
+    li span { display: inline-block; width: 1.5rem; text-align: right; margin-right: 0.4rem; }
+    .strategy { white-space: pre-wrap; font-size: 0.85rem; border-top: 1px solid #999; padding-top: 0.5rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <p class="meta">${escapeXml(FORMAT_CONFIG[selectedCardPool].displayName)} · ${total(parsed.deck)} cards${parsed.sideboard ? ` · ${total(parsed.sideboard)}-card sideboard` : ''}</p>
+  <div class="columns">
+    ${block('Commander', parsed.commander || [])}
+    ${block('Companion', parsed.companion || [])}
+    ${Object.entries(groups).map(([name, entries]) => block(name, entries)).join('')}
+    ${block('Sideboard', parsed.sideboard || [])}
+  </div>
+  ${strategy ? `<p class="strategy">${escapeXml(strategy)}</p>` : ''}
+</body>
+</html>`;
+
+  const win = window.open('', '_blank');
+  if (!win) {
+    showError('Allow pop-ups for this site to print the decklist.');
+    return;
+  }
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+function exportFileName() {
+  const entry = library.find(d => d.id === currentLibraryDeckId);
+  const name  = entry?.name || defaultDeckName($('#archetype').value);
+  return name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'deck';
+}
+
+function downloadFile(filename, content, type) {
+  const url  = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Share links carry the deck in the URL hash as deflated, base64url JSON, so
+// it never reaches a server. Cards travel by name and are re-resolved
+// against the recipient's current pool.
+async function buildShareLink() {
+  const entries = (list) => (list || []).map(e => [e.count, e.name]);
+  const payload = {
+    v: 1,
+    f: selectedCardPool,
+    m: formatSelect.value,
+    c: Array.from(selectedColors),
+    cm: colorModeSelect.value,
+    sp: colorRequest().splash,
+    a: $('#archetype').value,
+    d: entries(currentDeck.deck),
+    s: entries(currentDeck.sideboard),
+    k: entries(currentDeck.commander),
+    p: entries(currentDeck.companion),
+    t: currentDeck.explanation || '',
+  };
+  return `${location.origin}${location.pathname}${SHARE_HASH_PREFIX}${await encodeSharePayload(payload)}`;
+}
+
+// "z" marks deflate-raw data; "j" is plain JSON for browsers without CompressionStream
+async function encodeSharePayload(payload) {
+  let bytes  = new TextEncoder().encode(JSON.stringify(payload));
+  let marker = 'j';
+  if ('CompressionStream' in window) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    bytes  = new Uint8Array(await new Response(stream).arrayBuffer());
+    marker = 'z';
+  }
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return marker + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function decodeSharePayload(encoded) {
+  const marker = encoded[0];
+  const binary = atob(encoded.slice(1).replace(/-/g, '+').replace(/_/g, '/'));
+  let bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  if (marker === 'z') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else if (marker !== 'j') {
+    throw new Error('Unknown share link encoding');
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function loadSharedDeck() {
+  if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+  const encoded = location.hash.slice(SHARE_HASH_PREFIX.length);
+  history.replaceState(null, '', location.pathname + location.search);
+
+  let payload;
+  try {
+    payload = await decodeSharePayload(encoded);
+  } catch (err) {
+    console.error('Share link error:', err);
+    showError('This share link is damaged or incomplete.');
+    return;
+  }
+
+  if (FORMAT_CONFIG[payload.f] && payload.f !== selectedCardPool) await switchCardPool(payload.f);
+  colorModeSelect.value = COLOR_MODES[payload.cm] ? payload.cm : 'subset';
+  updateColorMode();
+  setSelectedColors(payload.c || [], payload.sp);
+  if (payload.m) formatSelect.value = payload.m;
+  if (payload.a) $('#archetype').value = payload.a;
+
+  // Cards that no longer resolve keep their shared name and are flagged
+  const missing = new Set();
+  const resolve = (list) => {
+    const resolved = (list || []).map(([count, name]) => {
+      const current = resolveCardName(name);
+      if (!current) missing.add(name);
+      return { count, name: current || name };
+    });
+    return resolved.length > 0 ? resolved : null;
+  };
+  const deck = {
+    deck:        resolve(payload.d),
+    sideboard:   resolve(payload.s),
+    commander:   resolve(payload.k),
+    companion:   resolve(payload.p),
+    explanation: payload.t || '',
+  };
+  if (!deck.deck) {
+    showError('This share link has no main deck.');
+    return;
+  }
+
+  adoptDeckCommander(deck);
+  displayDeck(deck);
+  resetConversation();
+  recordDeckVersion(deck, {
+    archetype:    $('#archetype').value,
+    instructions: '',
+    redoNote:     '',
+    source:       'shared',
+  }, { newDeck: true });
+
+  const poolName = FORMAT_CONFIG[selectedCardPool].displayName;
+  const notice = missing.size > 0
+    ? `Shared deck loaded. ${missing.size} card${missing.size === 1 ? ' is' : 's are'} no longer in the ${poolName} pool (rotated out or banned): ${[...missing].join(', ')}.`
+    : 'Shared deck loaded.';
+  displayStrategy(deck.explanation ? `${notice}\n\n${deck.explanation}` : notice);
+  redoSection.classList.remove('hidden');
+  redoInput.disabled = false;
+  checkMetaBtn.classList.remove('hidden');
 }
 
 // ============================================================
@@ -555,6 +3691,39 @@ function hideLoading() {
   loadingOverlay.classList.add('hidden');
 }
 
+// Streaming requests keep the page usable and report progress inline;
+// buffered ones use the full-screen overlay.
+function showProgress(text, inline) {
+  if (inline) {
+    streamStatusText.textContent = text;
+    streamStatus.classList.remove('hidden');
+  } else {
+    showLoading(text);
+  }
+}
+
+function hideProgress() {
+  streamStatus.classList.add('hidden');
+  hideLoading();
+}
+
+function setBusy(busy) {
+  generateBtn.disabled  = busy;
+  redoBtn.disabled      = busy;
+  redoInput.disabled    = busy;
+  checkMetaBtn.disabled = busy;
+  sideboardGuideBtn.disabled = busy;
+  importBtn.disabled    = busy;
+  reduceWildcardsBtn.disabled = busy;
+  loadingOverlay.querySelector('.btn-cancel').classList.toggle('hidden', !busy);
+}
+
+function setSelectedColors(colors, splash = []) {
+  selectedColors = new Set(colors);
+  splashColors = new Set((splash || []).filter(c => !selectedColors.has(c)));
+  renderColorButtons();
+}
+
 function showError(msg) {
   generateError.textContent = msg;
   generateError.classList.remove('hidden');
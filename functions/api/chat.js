@@ -1,55 +1,61 @@
 // ============================================================
-// Cloudflare Pages Function — OpenAI API Proxy
+// Cloudflare Pages Function — LLM API Proxy
 // ============================================================
 // Runs at: /api/chat (same origin as the site, no CORS needed)
 //
-// Set your API key in the Cloudflare Pages dashboard:
-//   Settings > Environment variables > Add: OPENAI_API_KEY
+// Set provider credentials in the Cloudflare Pages dashboard:
+//   Settings > Environment variables > Add: OPENAI_API_KEY, ANTHROPIC_API_KEY,
+//   and/or LOCAL_LLM_BASE_URL + LOCAL_LLM_MODELS (see functions/lib/providers.js)
+//
+// OPENAI_BASE_URL overrides the OpenAI upstream, e.g. to run against the
+// local mock server in scripts/mock-upstream.mjs:
+//   node scripts/mock-upstream.mjs --port 8789
+//   wrangler pages dev . --binding OPENAI_API_KEY=mock --binding OPENAI_BASE_URL=http://localhost:8789/v1
+// test/chat-proxy.test.mjs runs this handler against it (`node --test test/`).
+//
+// Every request passes the policy in functions/lib/policy.js (origin,
+// message limits, rate limits) before it reaches a provider. `model` must be
+// one of the ids served by /api/models. Requests with `stream: true` are
+// relayed as Chat Completions server-sent events; everything else is
+// returned as a single Chat Completions JSON body. `response_format`,
+// `tools` and `tool_choice` are passed through to the provider. Errors are always
+// { error: { code, message } }.
 
-export async function onRequestPost(context) {
-  const apiKey = context.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return Response.json(
-      { error: 'OPENAI_API_KEY is not configured' },
-      { status: 500 }
-    );
-  }
+import { resolveModel, callModel, DEFAULT_MODEL } from '../lib/providers.js';
+import { enforceChatPolicy, errorResponse } from '../lib/policy.js';
 
+export async function onRequestPost(context) {
   try {
-    const body = await context.request.json();
+    const { body, response } = await enforceChatPolicy(context);
+    if (response) return response;
 
-    if (!Array.isArray(body.messages) || body.messages.length === 0) {
-      return Response.json(
-        { error: 'Invalid request: messages array required' },
-        { status: 400 }
-      );
+    const model = resolveModel(context.env, body.model || DEFAULT_MODEL);
+    if (!model) {
+      return errorResponse(400, 'model_not_allowed', `Model "${body.model}" is not available.`);
     }
 
-    const payload = {
-      model: body.model || 'gpt-5.4-mini',
-      messages: body.messages,
+    const result = await callModel(context.env, model, {
+      messages:    body.messages,
       temperature: body.temperature ?? 0.7,
-      max_completion_tokens: Math.min(body.max_completion_tokens || 4000, 8000),
-    };
+      maxTokens:   Math.min(body.max_completion_tokens || 4000, 8000),
+      stream:      body.stream === true,
+      responseFormat: body.response_format,
+      tools:          body.tools,
+      toolChoice:     body.tool_choice,
+    }, context.request.signal); // Stop the upstream generation when the browser cancels
 
-    const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(payload),
-    });
+    if (result.stream) {
+      return new Response(result.stream, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+        },
+      });
+    }
 
-    const data = await openaiResponse.text();
-    return new Response(data, {
-      status: openaiResponse.status,
-      headers: { 'Content-Type': 'application/json' },
-    });
+    return Response.json(result.json, { status: result.status });
   } catch (err) {
-    return Response.json(
-      { error: 'Proxy error: ' + err.message },
-      { status: 500 }
-    );
+    return errorResponse(500, 'proxy_error', 'Proxy error: ' + err.message);
   }
 }
@@ -0,0 +1,15 @@
+// ============================================================
+// Cloudflare Pages Function — Model List
+// ============================================================
+// Runs at: /api/models
+//
+// Lists the allowlisted models whose provider has credentials configured,
+// so the client can build its model picker.
+
+import { listModels, DEFAULT_MODEL } from '../lib/providers.js';
+
+export async function onRequestGet(context) {
+  const models = listModels(context.env).map(({ id, label, provider }) => ({ id, label, provider }));
+  const fallback = models.find(m => m.id === DEFAULT_MODEL) || models[0];
+  return Response.json({ models, default: fallback?.id || null });
+}
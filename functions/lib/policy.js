@@ -0,0 +1,181 @@
+// ============================================================
+// Request policy for /api/chat — origin, shape, size and rate limits
+// ============================================================
+// Rate limits are fixed-window counters in a KV namespace bound as
+// RATE_LIMIT_KV (Settings > Functions > KV namespace bindings). Without the
+// binding — e.g. under `wrangler pages dev` — an in-memory store with the
+// same get/put interface stands in; it is per-isolate, so only use it for
+// local testing.
+//
+// ALLOWED_ORIGINS (optional, comma-separated) lists extra origins allowed to
+// call the API besides the site's own.
+
+import { MAX_MESSAGES, MAX_MESSAGE_CHARS, SESSION_REQUEST_LIMIT } from '../../lib/chat-limits.mjs';
+
+export const POLICY = {
+  maxBodyBytes:    400_000,
+  maxMessages:     MAX_MESSAGES,
+  maxMessageChars: MAX_MESSAGE_CHARS,
+  maxTools:        16,
+  responseFormats: ['text', 'json_object', 'json_schema'],
+  roles:           ['system', 'user', 'assistant'],
+  rateLimits: [
+    { scope: 'ip',      limit: 30, windowSeconds: 600 },
+    { scope: 'session', ...SESSION_REQUEST_LIMIT },
+  ],
+};
+
+// KV's minimum expirationTtl
+const MIN_KV_TTL = 60;
+
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async put(key, value, { expirationTtl } = {}) {
+    const expiresAt = expirationTtl ? Date.now() + expirationTtl * 1000 : Infinity;
+    this.entries.set(key, { value: String(value), expiresAt });
+  }
+}
+
+const memoryStore = new MemoryStore();
+
+export function getRateLimitStore(env) {
+  return env.RATE_LIMIT_KV || memoryStore;
+}
+
+// Every rejection has the same shape so the client can show `error.message`
+export function errorResponse(status, code, message, extra = {}, headers = {}) {
+  return Response.json({ error: { code, message, ...extra } }, { status, headers });
+}
+
+function checkOrigin(request, env) {
+  const origin = request.headers.get('Origin');
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  const allowed = new Set([
+    new URL(request.url).origin,
+    ...(env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+  ]);
+
+  if (!origin || !allowed.has(origin)) {
+    return errorResponse(403, 'forbidden_origin', 'Requests must come from the Arena Forge site.');
+  }
+  if (fetchSite && fetchSite !== 'same-origin' && fetchSite !== 'none' && !env.ALLOWED_ORIGINS) {
+    return errorResponse(403, 'forbidden_origin', 'Cross-site requests are not allowed.');
+  }
+  return null;
+}
+
+function checkMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return errorResponse(400, 'invalid_request', 'Invalid request: messages array required.');
+  }
+  if (messages.length > POLICY.maxMessages) {
+    return errorResponse(413, 'too_many_messages', `Conversations are limited to ${POLICY.maxMessages} messages.`, { limit: POLICY.maxMessages });
+  }
+
+  let chars = 0;
+  for (const m of messages) {
+    if (!m || !POLICY.roles.includes(m.role) || typeof m.content !== 'string') {
+      return errorResponse(400, 'invalid_request', 'Each message needs a system, user or assistant role and string content.');
+    }
+    chars += m.content.length;
+  }
+  if (chars > POLICY.maxMessageChars) {
+    return errorResponse(413, 'payload_too_large', `Messages are limited to ${POLICY.maxMessageChars.toLocaleString()} characters in total.`, { limit: POLICY.maxMessageChars });
+  }
+  return null;
+}
+
+function checkStructuredOutput(body) {
+  const format = body.response_format;
+  if (format !== undefined) {
+    const validSchema = format?.type !== 'json_schema'
+      || (typeof format.json_schema?.name === 'string' && format.json_schema.schema && typeof format.json_schema.schema === 'object');
+    if (!format || !POLICY.responseFormats.includes(format.type) || !validSchema) {
+      return errorResponse(400, 'invalid_request', 'response_format must be text, json_object, or json_schema with a name and schema.');
+    }
+  }
+
+  const tools = body.tools;
+  if (tools !== undefined) {
+    if (!Array.isArray(tools) || tools.length > POLICY.maxTools
+        || !tools.every(t => t?.type === 'function' && typeof t.function?.name === 'string')) {
+      return errorResponse(400, 'invalid_request', `tools must be up to ${POLICY.maxTools} function definitions.`);
+    }
+  }
+  return null;
+}
+
+async function checkRateLimits(request, env) {
+  const store = getRateLimitStore(env);
+  const ids = {
+    ip:      request.headers.get('CF-Connecting-IP') || 'local',
+    session: request.headers.get('X-Session-Id'),
+  };
+
+  for (const { scope, limit, windowSeconds } of POLICY.rateLimits) {
+    if (!ids[scope]) continue;
+    const now    = Math.floor(Date.now() / 1000);
+    const window = Math.floor(now / windowSeconds);
+    const key    = `rl:${scope}:${ids[scope]}:${window}`;
+    const count  = parseInt(await store.get(key), 10) || 0;
+
+    if (count >= limit) {
+      const retryAfter = (window + 1) * windowSeconds - now;
+      return errorResponse(429, 'rate_limited',
+        `Rate limit reached (${limit} requests per ${windowSeconds / 60} minutes). Try again in ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}.`,
+        { scope, retryAfter },
+        { 'Retry-After': String(retryAfter) });
+    }
+    await store.put(key, count + 1, { expirationTtl: Math.max(windowSeconds, MIN_KV_TTL) });
+  }
+  return null;
+}
+
+// Runs every check in order of cost. Resolves to { body } for an accepted
+// request or { response } holding the structured rejection.
+export async function enforceChatPolicy(context) {
+  const { request, env } = context;
+
+  const originError = checkOrigin(request, env);
+  if (originError) return { response: originError };
+
+  const declaredLength = parseInt(request.headers.get('Content-Length'), 10);
+  if (declaredLength > POLICY.maxBodyBytes) {
+    return { response: errorResponse(413, 'payload_too_large', 'Request body is too large.', { limit: POLICY.maxBodyBytes }) };
+  }
+  const raw = await request.text();
+  if (new TextEncoder().encode(raw).length > POLICY.maxBodyBytes) {
+    return { response: errorResponse(413, 'payload_too_large', 'Request body is too large.', { limit: POLICY.maxBodyBytes }) };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    return { response: errorResponse(400, 'invalid_json', 'Request body must be valid JSON.') };
+  }
+
+  const messageError = checkMessages(body.messages);
+  if (messageError) return { response: messageError };
+
+  const outputError = checkStructuredOutput(body);
+  if (outputError) return { response: outputError };
+
+  const rateError = await checkRateLimits(request, env);
+  if (rateError) return { response: rateError };
+
+  return { body };
+}
@@ -0,0 +1,259 @@
+// ============================================================
+// LLM provider layer shared by /api/chat and /api/models
+// ============================================================
+// Every provider takes OpenAI-style chat params and hands back either a
+// chat-completion JSON body or an OpenAI-style SSE stream, so the browser
+// only ever sees one response shape. `response_format` and `tools` are
+// passed through; Anthropic gets them as tools (a json_schema response
+// format becomes a forced tool whose input is returned as the content).
+//
+// Environment variables:
+//   OPENAI_API_KEY       enables the OpenAI models
+//   OPENAI_BASE_URL      optional upstream override (e.g. a local mock)
+//   ANTHROPIC_API_KEY    enables the Anthropic models
+//   ANTHROPIC_BASE_URL   optional upstream override (e.g. a local mock)
+//   LOCAL_LLM_BASE_URL   OpenAI-compatible server, e.g. http://localhost:11434/v1 (Ollama)
+//   LOCAL_LLM_MODELS     comma-separated model names served there, e.g. llama3.1:8b,qwen2.5:14b
+//   LOCAL_LLM_API_KEY    optional bearer token for that server
+
+const OPENAI_BASE_URL    = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION  = '2023-06-01';
+
+// Allowlisted hosted models. Local models are added from LOCAL_LLM_MODELS.
+const HOSTED_MODELS = [
+  { id: 'gpt-5.4',           label: 'gpt-5.4',           provider: 'openai'    },
+  { id: 'gpt-5.4-mini',      label: 'gpt-5.4 mini',      provider: 'openai'    },
+  { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5', provider: 'anthropic' },
+  { id: 'claude-haiku-4-5',  label: 'Claude Haiku 4.5',  provider: 'anthropic' },
+];
+export const DEFAULT_MODEL = 'gpt-5.4';
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Chat Completions (OpenAI and OpenAI-compatible servers)
+function chatCompletionsRequest(baseUrl, apiKey, model, params, tokenField) {
+  return {
+    url: `${trimSlash(baseUrl)}/chat/completions`,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({
+        model,
+        messages: params.messages,
+        temperature: params.temperature,
+        [tokenField]: params.maxTokens,
+        ...(params.responseFormat && { response_format: params.responseFormat }),
+        ...(params.tools && { tools: params.tools }),
+        ...(params.toolChoice && { tool_choice: params.toolChoice }),
+        ...(params.stream && { stream: true }),
+      }),
+    },
+  };
+}
+
+const ANTHROPIC_TOOL_CHOICE = {
+  auto:     { type: 'auto' },
+  required: { type: 'any' },
+  none:     { type: 'none' },
+};
+
+function anthropicTools(params) {
+  if (params.responseFormat?.type === 'json_schema') {
+    const { name, description, schema } = params.responseFormat.json_schema;
+    return {
+      tools:       [{ name, description: description || `Respond with a ${name} object.`, input_schema: schema }],
+      tool_choice: { type: 'tool', name },
+    };
+  }
+  if (!params.tools?.length) return {};
+
+  const choice = params.toolChoice;
+  return {
+    tools: params.tools.map(t => ({
+      name:         t.function.name,
+      description:  t.function.description,
+      input_schema: t.function.parameters || { type: 'object', properties: {} },
+    })),
+    ...(choice && {
+      tool_choice: typeof choice === 'string'
+        ? ANTHROPIC_TOOL_CHOICE[choice]
+        : { type: 'tool', name: choice.function.name },
+    }),
+  };
+}
+
+const wantsSchemaContent = (params) => params.responseFormat?.type === 'json_schema';
+
+const PROVIDERS = {
+  openai: {
+    isConfigured: (env) => Boolean(env.OPENAI_API_KEY),
+    request: (env, model, params) =>
+      chatCompletionsRequest(env.OPENAI_BASE_URL || OPENAI_BASE_URL, env.OPENAI_API_KEY, model, params, 'max_completion_tokens'),
+    normalize: (data) => data,
+    normalizeStream: (body) => body,
+  },
+
+  // Ollama, llama.cpp server, LM Studio, vLLM... — they speak Chat
+  // Completions but expect the older `max_tokens` field
+  compatible: {
+    isConfigured: (env) => Boolean(env.LOCAL_LLM_BASE_URL),
+    request: (env, model, params) =>
+      chatCompletionsRequest(env.LOCAL_LLM_BASE_URL, env.LOCAL_LLM_API_KEY, model, params, 'max_tokens'),
+    normalize: (data) => data,
+    normalizeStream: (body) => body,
+  },
+
+  anthropic: {
+    isConfigured: (env) => Boolean(env.ANTHROPIC_API_KEY),
+    request: (env, model, params) => {
+      // The Messages API takes the system prompt separately from the turns
+      const system   = params.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const messages = params.messages.filter(m => m.role !== 'system').map(m => ({ role: m.role, content: m.content }));
+      return {
+        url: `${trimSlash(env.ANTHROPIC_BASE_URL || ANTHROPIC_BASE_URL)}/messages`,
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': env.ANTHROPIC_API_KEY,
+            'anthropic-version': ANTHROPIC_VERSION,
+          },
+          body: JSON.stringify({
+            model,
+            ...(system && { system }),
+            messages,
+            temperature: Math.min(params.temperature, 1),
+            max_tokens: params.maxTokens,
+            ...anthropicTools(params),
+            ...(params.stream && { stream: true }),
+          }),
+        },
+      };
+    },
+    normalize: (data, params) => {
+      if (data.type === 'error') return { error: data.error };
+      const blocks  = data.content || [];
+      const toolUse = blocks.filter(b => b.type === 'tool_use');
+      const message = wantsSchemaContent(params)
+        ? { role: 'assistant', content: toolUse.length ? JSON.stringify(toolUse[0].input) : '' }
+        : {
+            role: 'assistant',
+            content: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+            ...(toolUse.length && {
+              tool_calls: toolUse.map(b => ({
+                id: b.id,
+                type: 'function',
+                function: { name: b.name, arguments: JSON.stringify(b.input) },
+              })),
+            }),
+          };
+      return {
+        id: data.id,
+        model: data.model,
+        choices: [{ index: 0, message, finish_reason: data.stop_reason }],
+        usage: data.usage && {
+          prompt_tokens:     data.usage.input_tokens,
+          completion_tokens: data.usage.output_tokens,
+        },
+      };
+    },
+    normalizeStream: (body, params) => anthropicStreamToChatCompletions(body, wantsSchemaContent(params)),
+  },
+};
+
+// Re-emits Anthropic's content_block_delta events as Chat Completions chunks.
+// Tool input streams as tool_calls deltas, or as content when it stands in
+// for a json_schema response format. An event that isn't JSON ends the
+// stream with a normalized upstream_error rather than a dropped delta.
+function anthropicStreamToChatCompletions(body, toolInputAsContent) {
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffer = '';
+  let toolIndex = -1;
+  let failed = false;
+  const emit = (controller, data) =>
+    controller.enqueue(encoder.encode(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+
+  return body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      if (failed) return;
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        let event;
+        try {
+          event = JSON.parse(line.slice(5));
+        } catch {
+          failed = true;
+          emit(controller, normalizeError({ error: { message: 'Upstream sent an unreadable stream event' } }));
+          return;
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          emit(controller, { choices: [{ index: 0, delta: { content: event.delta.text } }] });
+        } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use' && !toolInputAsContent) {
+          toolIndex++;
+          const { id, name } = event.content_block;
+          emit(controller, { choices: [{ index: 0, delta: { tool_calls: [{ index: toolIndex, id, type: 'function', function: { name, arguments: '' } }] } }] });
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+          const json = event.delta.partial_json;
+          emit(controller, { choices: [{ index: 0, delta: toolInputAsContent
+            ? { content: json }
+            : { tool_calls: [{ index: toolIndex, function: { arguments: json } }] } }] });
+        } else if (event.type === 'error') {
+          emit(controller, normalizeError(event));
+        } else if (event.type === 'message_stop') {
+          emit(controller, '[DONE]');
+        }
+      }
+    },
+  }));
+}
+
+export function listModels(env) {
+  const local = (env.LOCAL_LLM_MODELS || '')
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean)
+    .map(m => ({ id: `local:${m}`, label: `${m} (local)`, provider: 'compatible', upstreamModel: m }));
+
+  return [...HOSTED_MODELS, ...local]
+    .filter(m => PROVIDERS[m.provider].isConfigured(env))
+    .map(m => ({ upstreamModel: m.id, ...m }));
+}
+
+export function resolveModel(env, id) {
+  return listModels(env).find(m => m.id === id) || null;
+}
+
+// Sends OpenAI-style params to the model's provider. Resolves to
+// { ok, status, json } for buffered calls or { ok, status, stream } when
+// params.stream is set and the upstream accepted the request.
+export async function callModel(env, model, params, signal) {
+  const provider = PROVIDERS[model.provider];
+  const { url, init } = provider.request(env, model.upstreamModel, params);
+  const upstream = await fetch(url, { ...init, signal });
+
+  if (params.stream && upstream.ok && upstream.body) {
+    return { ok: true, status: 200, stream: provider.normalizeStream(upstream.body, params) };
+  }
+
+  const data = await upstream.json().catch(() => ({ error: { message: `Upstream returned HTTP ${upstream.status}` } }));
+  return { ok: upstream.ok, status: upstream.status, json: upstream.ok ? provider.normalize(data, params) : normalizeError(data) };
+}
+
+function normalizeError(data) {
+  const error = data.error || {};
+  return {
+    error: {
+      code:    'upstream_error',
+      message: error.message || (typeof data.error === 'string' ? data.error : 'Upstream error'),
+      type:    error.type,
+    },
+  };
+}
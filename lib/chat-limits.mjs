@@ -0,0 +1,14 @@
+// ============================================================
+// /api/chat limits shared by the proxy and its clients
+// ============================================================
+// functions/lib/policy.js enforces these; lib/deck-core.mjs re-exports them
+// so the browser and the CLI budget their requests against the same numbers.
+
+// Messages allowed in one request
+export const MAX_MESSAGES = 24;
+
+// Characters of all messages in one request
+export const MAX_MESSAGE_CHARS = 200_000;
+
+// Requests per session in a fixed window
+export const SESSION_REQUEST_LIMIT = { limit: 20, windowSeconds: 600 };
@@ -0,0 +1,2392 @@
+// ============================================================
+// MTG Arena Deck Builder — Core (no DOM)
+// ============================================================
+// Card-pool filtering, prompt building, reply parsing, legality checks and
+// deck stats, shared by app.js in the browser and scripts/arena-forge.mjs in
+// Node. Nothing in here reads the page or keeps state: pools, color
+// selections and card ID maps are passed in by the caller.
+
+export const R2_BASE = 'https://pub-9c2e386e89c24c7aa6cf29cc251d7a69.r2.dev';
+
+// Singleton formats are built around a commander; deckSize counts it
+export const FORMAT_CONFIG = {
+  standard:      { displayName: 'Standard'  },
+  historic:      { displayName: 'Historic'  },
+  explorer:      { displayName: 'Explorer'  },
+  alchemy:       { displayName: 'Alchemy'   },
+  brawl:         { displayName: 'Brawl',          deckSize: 60,  singleton: true },
+  historicbrawl: { displayName: 'Historic Brawl', deckSize: 100, singleton: true },
+};
+
+// Constructed deck rules enforced by validateDeck()
+export const DECK_RULES = {
+  mainDeckSize:  60,
+  maxCopies:     4,
+  sideboardSize: 15,
+};
+
+// Rules for a format: Brawl decks are one commander plus a singleton main
+// deck making up the rest of deckSize, with no sideboard
+export function deckRules(format) {
+  const cfg = FORMAT_CONFIG[format];
+  if (!cfg?.singleton) return DECK_RULES;
+  return { mainDeckSize: cfg.deckSize - 1, maxCopies: 1, sideboardSize: 0, singleton: true };
+}
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+export const COLOR_NAMES = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green', C: 'Colorless' };
+
+// Structured deck output requested from the model (response_format json_schema).
+// Cards are referenced by the short IDs from buildCardList().
+export const DECK_ENTRY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'count', 'reason'],
+  properties: {
+    id:     { type: 'string', pattern: '^C\\d+$', description: 'Card ID from the provided list, e.g. C42' },
+    count:  { type: 'integer', minimum: 1 },
+    reason: { type: 'string', description: 'One sentence on why the card is in the deck' },
+  },
+};
+export const DECK_RESPONSE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['deck', 'sideboard', 'companion', 'strategy'],
+  properties: {
+    deck:      { type: 'array', items: DECK_ENTRY_SCHEMA },
+    sideboard: { type: 'array', items: DECK_ENTRY_SCHEMA },
+    companion: { type: ['string', 'null'], description: 'Card ID of the companion (also listed in the sideboard), or null' },
+    strategy:  { type: 'string', description: 'Strategy summary: game plan, key synergies, mulligan advice' },
+  },
+};
+export const DECK_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'deck_list', strict: true, schema: DECK_RESPONSE_SCHEMA },
+};
+
+// Follow-up turns answer with edits to the current deck instead of a new list
+const DECK_CHANGE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['action', 'id', 'count', 'section', 'reason'],
+  properties: {
+    action:  { type: 'string', enum: ['add', 'remove'] },
+    id:      { type: 'string', pattern: '^C\\d+$', description: 'Card ID from the provided list, e.g. C42' },
+    count:   { type: 'integer', minimum: 1 },
+    section: { type: 'string', enum: ['deck', 'sideboard'] },
+    reason:  { type: 'string', description: 'One sentence on why' },
+  },
+};
+export const DECK_CHANGES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['changes', 'reply'],
+  properties: {
+    changes: { type: 'array', items: DECK_CHANGE_SCHEMA },
+    reply:   { type: 'string', description: 'Short answer to the request: what changed and why' },
+  },
+};
+export const DECK_CHANGES_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'deck_changes', strict: true, schema: DECK_CHANGES_SCHEMA },
+};
+
+export function buildSystemPrompt(formatName, rules = DECK_RULES) {
+  const formatRules = rules.singleton
+    ? `3. A ${formatName} deck is one commander plus exactly ${rules.mainDeckSize} other cards in the main deck. There is no sideboard.
+4. Every card must fall within the commander's color identity.
+5. Singleton: at most 1 copy of any non-basic-land card, and the commander never appears in the main deck.
+6. Basic lands (Plains, Island, Swamp, Mountain, Forest, Wastes) have no copy limit.`
+    : `3. A ${formatName} deck must contain exactly ${rules.mainDeckSize} cards in the main deck.
+4. For Best-of-3, include a ${rules.sideboardSize}-card sideboard.
+5. You may include up to ${rules.maxCopies} copies of any non-basic-land card.
+6. Basic lands (Plains, Island, Swamp, Mountain, Forest) have no copy limit.`;
+
+  return `You are an expert Magic: The Gathering deck builder specializing in MTG Arena ${formatName} format.
+
+IMPORTANT RULES:
+1. You MUST ONLY use cards from the provided card list. Do NOT invent or hallucinate card names.
+2. Every card you include MUST appear exactly as named in the provided list.
+${formatRules}
+
+OUTPUT FORMAT — when a JSON response format is requested, answer with a single JSON object:
+{"deck": [{"id": "C42", "count": 4, "reason": "..."}], "sideboard": [...], "companion": null, "strategy": "..."}
+
+Otherwise output the deck list in this exact MTG Arena import format with nothing else outside of it for the deck portion:
+
+Deck
+4 Card Name
+3 Another Card
+...
+
+Sideboard
+2 Sideboard Card
+...
+
+After the deck list, include a brief explanation of the deck strategy and key card choices.`;
+}
+
+// ============================================================
+// Card pools
+// ============================================================
+// A pool is { format, names, cards, index }: names in file order, card data
+// keyed by name, and lowercased full and front-face names → canonical name.
+export function indexCardPool(format, rawCards) {
+  const pool = { format, names: [], cards: {}, index: {} };
+  for (const card of rawCards) {
+    pool.names.push(card.name);
+    pool.index[card.name.toLowerCase()] = card.name;
+    // Arena exports double-faced and split cards by their front face only
+    if (card.name.includes(' // ')) {
+      pool.index[card.name.split(' // ')[0].toLowerCase()] = card.name;
+    }
+    pool.cards[card.name] = {
+      colorIdentity: card.color_identity,
+      typeLine:      card.type_line,
+      manaCost:      card.mana_cost,
+      cmc:           card.cmc,
+      rarity:        card.rarity,
+      oracleText:    card.oracle_text,
+      keywords:      card.keywords,
+      setName:       card.set_name,
+      setCode:       card.set,
+      collectorNumber: card.collector_number,
+      mtgoId:        card.mtgo_id,
+    };
+  }
+  return pool;
+}
+
+export function resolveCardName(pool, rawName) {
+  const key = rawName.trim().toLowerCase();
+  return pool.index[key] || pool.index[key.split(' // ')[0]] || null;
+}
+
+// The pool card a misspelled name most likely meant: the closest full or
+// front-face name within one edit (two for names of 8+ characters), where
+// swapping two neighbouring letters counts as one edit. Null when nothing is close.
+export function suggestCardName(pool, rawName) {
+  const key = rawName.trim().toLowerCase();
+  const maxEdits = Math.min(2, Math.floor(key.length / 4));
+  let best = null, bestEdits = maxEdits + 1;
+  for (const candidate of Object.keys(pool.index)) {
+    if (Math.abs(candidate.length - key.length) >= bestEdits) continue;
+    const edits = editDistance(key, candidate, bestEdits);
+    if (edits < bestEdits) {
+      best = pool.index[candidate];
+      bestEdits = edits;
+    }
+  }
+  return best;
+}
+
+// Optimal string alignment distance; stops early once every path is at
+// least `limit` edits
+function editDistance(a, b, limit = Infinity) {
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prevPrev[j - 2] + 1);
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin >= limit) return limit;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// `colors` is any iterable of W/U/B/R/G/C; an empty selection fits everything.
+// Basic lands fit any selection, except with `identity` set (a Brawl
+// commander's color identity), where a Forest needs green and Wastes
+// need colorless.
+export function fitsColors(card, colors, { identity = false } = {}) {
+  const selected = Array.from(colors);
+  const wantColorless = selected.includes('C');
+  const wubrg = selected.filter(c => c !== 'C');
+  const ci = card.colorIdentity;
+
+  if (!identity && card.typeLine.includes('Basic Land')) return true;
+  if (wubrg.length === 0 && !wantColorless) return true;
+  if (ci.length === 0) return wantColorless || wubrg.length === 0;
+  return ci.every(c => wubrg.includes(c));
+}
+
+// Pinned cards skip the color check, banned cards are always dropped, and
+// `allow(name, card)` can narrow the rest further (e.g. to owned cards).
+// `splash` adds splash-eligible cards (see fitsColorRequest).
+export function filterCardPool(pool, { colors, splash = [], include = {}, exclude = new Set(), allow = null }) {
+  const identity = deckRules(pool.format).singleton;
+  return pool.names.filter(name => {
+    if (exclude.has(name)) return false;
+    if (include[name]) return true;
+    const card = pool.cards[name];
+    if (!fitsColorRequest(card, colors, splash, { identity })) return false;
+    return !allow || allow(name, card);
+  });
+}
+
+// Brawl commanders: legendary creatures and planeswalkers, by the front face
+export function isCommanderCandidate(card) {
+  const front = card.typeLine.split(' // ')[0];
+  return front.includes('Legendary') && (front.includes('Creature') || front.includes('Planeswalker'));
+}
+
+export function commanderCandidates(pool) {
+  return pool.names.filter(name => isCommanderCandidate(pool.cards[name]));
+}
+
+// The color selection a commander allows: its color identity, plus
+// colorless cards, which every commander can play
+export function commanderColors(card) {
+  return new Set([...card.colorIdentity, 'C']);
+}
+
+// The commander is picked up front rather than by the model, so it is
+// attached to each parsed reply
+export function withCommander(parsed, commander) {
+  if (!parsed.deck || !commander) return parsed;
+  return { ...parsed, commander: [{ count: 1, name: commander }] };
+}
+
+// W/U/B/R/G (or C for a colorless deck) played by the deck's nonbasic cards
+export function deckColorIdentity(parsed, pool) {
+  const colors = new Set();
+  const entries = [...parsed.deck, ...(parsed.commander || []), ...(parsed.companion || [])];
+  for (const entry of entries) {
+    const card = pool.cards[entry.name];
+    if (!card || card.typeLine.includes('Basic Land')) continue;
+    if (card.colorIdentity.length === 0) colors.add('C');
+    for (const c of card.colorIdentity) colors.add(c);
+  }
+  return colors;
+}
+
+// ============================================================
+// Color modes
+// ============================================================
+// How the selected colors constrain a deck: "subset" allows any of them,
+// "exact" wants every one of them played, and "splash" adds a few cheap-to-
+// cast cards in extra colors on top of the main ones
+export const COLOR_MODES = {
+  subset: 'At most these colors',
+  exact:  'Exactly these colors',
+  splash: 'Main colors + splash',
+};
+// Splash cards in the main deck, splash-color pips per card, and sources
+// of each splash color the mana base needs
+export const SPLASH_LIMITS = { cards: 6, pips: 1, sources: 6 };
+// Nonland cards a selected color needs to count as played
+export const MIN_COLOR_CARDS = 4;
+
+// Pips only the splash can pay; a hybrid with a main-color half doesn't count
+export function splashPips(card, splash) {
+  const splashColors = Array.from(splash);
+  return parseManaCost(card.manaCost).filter(pip => pip.every(c => splashColors.includes(c))).length;
+}
+
+// A card outside the main colors still fits a splash when it is inside main
+// plus splash and light on splash pips. Lands only need to fit, since they
+// are what pays for the splash.
+export function fitsColorRequest(card, colors, splash = [], { identity = false } = {}) {
+  if (fitsColors(card, colors, { identity })) return true;
+  const splashColors = Array.from(splash);
+  if (splashColors.length === 0 || !fitsColors(card, [...colors, ...splashColors])) return false;
+  return isLandCard(card) || splashPips(card, splashColors) <= SPLASH_LIMITS.pips;
+}
+
+// Nonland cards and colored pips per color, plus the cards that are only
+// there on the splash
+export function analyzeColorProfile(parsed, pool, colors, splash = []) {
+  const profile = Object.fromEntries(WUBRG.map(c => [c, { cards: 0, pips: 0 }]));
+  const splashCards = [];
+  for (const entry of parsed.deck) {
+    const card = pool.cards[entry.name];
+    if (!card || isLandCard(card)) continue;
+    for (const c of card.colorIdentity) profile[c].cards += entry.count;
+    for (const pip of parseManaCost(card.manaCost)) {
+      for (const c of pip) profile[c].pips += entry.count;
+    }
+    if (splash.length > 0 && !fitsColors(card, colors)) splashCards.push(entry);
+  }
+  return { colors: profile, splashCards, splashCount: splashCards.reduce((sum, e) => sum + e.count, 0) };
+}
+
+// The deck's actual colors against the request: in "exact" and "splash"
+// modes every main color must be played, and a splash must stay within
+// SPLASH_LIMITS. Null in "subset" mode, which fitsColors() already covers.
+export function checkColorRequest(parsed, pool, { colors, colorMode = 'subset', splash = [], limited = null }) {
+  if (colorMode === 'subset') return null;
+  const main = Array.from(colors).filter(c => WUBRG.includes(c));
+  const splashColors = colorMode === 'splash' ? Array.from(splash) : [];
+  const profile = analyzeColorProfile(parsed, pool, colors, splashColors);
+  const problems = [];
+
+  for (const c of main) {
+    const count = profile.colors[c].cards;
+    if (count < MIN_COLOR_CARDS) {
+      problems.push({ message: `Only ${count} nonland card${count === 1 ? '' : 's'} use${count === 1 ? 's' : ''} ${COLOR_NAMES[c]}; each ${colorMode === 'exact' ? 'selected' : 'main'} color needs at least ${MIN_COLOR_CARDS}` });
+    }
+  }
+  if (splashColors.length > 0) {
+    if (profile.splashCount > SPLASH_LIMITS.cards) {
+      problems.push({
+        cards:   profile.splashCards.map(e => e.name),
+        message: `${profile.splashCount} splash cards; a splash is at most ${SPLASH_LIMITS.cards}`,
+      });
+    }
+    const { colors: sources } = analyzeManaBase(parsed, pool, [...colors, ...splashColors], { limited });
+    for (const source of sources.filter(s => splashColors.includes(s.color) && s.required > 0 && s.total < SPLASH_LIMITS.sources)) {
+      problems.push({
+        card:    source.card,
+        message: `The ${COLOR_NAMES[source.color]} splash has ${source.total} source${source.total === 1 ? '' : 's'}; it needs at least ${SPLASH_LIMITS.sources}`,
+      });
+    }
+  }
+
+  const played = WUBRG.filter(c => profile.colors[c].cards > 0).map(c => `${c} ${profile.colors[c].cards}`).join(' · ');
+  return {
+    label:    'Color Profile',
+    detail:   `${played || 'Colorless'}${splashColors.length ? ` (${profile.splashCount} on the splash)` : ''}`,
+    problems,
+  };
+}
+
+// The color request as the opening line of a generation prompt
+function colorRequestText(colors, colorMode, splash) {
+  const names = (list) => Array.from(list).map(c => COLOR_NAMES[c]).join(', ');
+  if (colorMode === 'exact') {
+    return `in exactly ${names(colors)}. Play every one of these colors, each in at least ${MIN_COLOR_CARDS} nonland cards.`;
+  }
+  if (colorMode === 'splash' && splash.length > 0) {
+    return `in ${names(colors)}, splashing ${names(splash)}. Each main color needs at least ${MIN_COLOR_CARDS} nonland cards. Keep the splash light: at most ${SPLASH_LIMITS.cards} splash cards, each with no more than ${SPLASH_LIMITS.pips} ${names(splash)} pip, and at least ${SPLASH_LIMITS.sources} sources of each splash color in the mana base.`;
+  }
+  return `in ${names(colors)} (any of these colors; fewer is fine).`;
+}
+
+// ============================================================
+// Card list for the prompt
+// ============================================================
+// Short card IDs as the model writes them
+const CARD_ID = /^C\d+$/;
+
+// Resolves to { text, idMap, nameToId }: the type-grouped list the model
+// reads plus the short-ID maps (C1 → name and back) for parsing its reply.
+// `lineNote(name, card)` can append a note (rarity, owned copies) to a line.
+export function buildCardList(pool, names, lineNote = null) {
+  const idMap = {};
+  const nameToId = {};
+  names.forEach((name, i) => {
+    const id = `C${i + 1}`;
+    idMap[id] = name;
+    nameToId[name] = id;
+  });
+
+  const groups = {};
+  for (const name of names) {
+    const card = pool.cards[name];
+    let baseType = 'Other';
+    const tl = card.typeLine;
+    if (tl.includes('Creature'))      baseType = 'Creature';
+    else if (tl.includes('Instant'))  baseType = 'Instant';
+    else if (tl.includes('Sorcery'))  baseType = 'Sorcery';
+    else if (tl.includes('Enchantment')) baseType = 'Enchantment';
+    else if (tl.includes('Artifact')) baseType = 'Artifact';
+    else if (tl.includes('Planeswalker')) baseType = 'Planeswalker';
+    else if (tl.includes('Land'))     baseType = 'Land';
+    else if (tl.includes('Battle'))   baseType = 'Battle';
+
+    if (!groups[baseType]) groups[baseType] = [];
+    groups[baseType].push(name);
+  }
+
+  const typeOrder = ['Creature', 'Instant', 'Sorcery', 'Enchantment', 'Artifact', 'Planeswalker', 'Battle', 'Land', 'Other'];
+  let text = '';
+  for (const type of typeOrder) {
+    if (!groups[type]?.length) continue;
+    text += `\n--- ${type}s (${groups[type].length}) ---\n`;
+    for (const name of groups[type]) {
+      const card = pool.cards[name];
+      text += formatCardLine(card, nameToId[name], lineNote?.(name, card) || '');
+    }
+  }
+  return { text, idMap, nameToId };
+}
+
+// Gives cards that aren't in the prompt's list yet (hand-added, imported
+// off-color) the next free IDs in `idMap`/`nameToId` and returns their lines
+export function appendCardIds(pool, names, idMap, nameToId, lineNote = null) {
+  let next = Object.keys(idMap).length + 1;
+  let text = '';
+  for (const name of names) {
+    const card = pool.cards[name];
+    if (!card || nameToId[name]) continue;
+    const id = `C${next++}`;
+    idMap[id] = name;
+    nameToId[name] = id;
+    text += formatCardLine(card, id, lineNote?.(name, card) || '');
+  }
+  return text;
+}
+
+export function formatCardLine(card, id, note = '') {
+  const oracle = card.oracleText ? ` | ${card.oracleText.replace(/\n/g, ' ')}` : '';
+  return `${id} | ${card.manaCost} | ${card.typeLine}${note}${oracle}\n`;
+}
+
+// ============================================================
+// Prompt shortlist — relevance-ranked cards within a token budget
+// ============================================================
+// Oracle patterns, keywords and preferred mana values per archetype, plus
+// role targets per 60 cards (see analyzeDeckRoles). Cards matching the
+// chosen archetype rank higher when the list must be trimmed.
+export const ARCHETYPE_PROFILES = {
+  aggro: {
+    keywords: ['Haste', 'First strike', 'Menace', 'Trample', 'Prowess', 'Double strike'],
+    patterns: [/deals? \d+ damage to (any target|each opponent|target player)/i, /gets? \+\d+\/\+\d+/i, /attacks?/i],
+    curve:    [1, 3],
+    roles:    { threat: 16, removal: 4 },
+  },
+  midrange: {
+    keywords: ['Vigilance', 'Trample', 'Ward', 'Lifelink'],
+    patterns: [/destroy target (creature|nonland permanent)/i, /exile target/i, /draw a card/i, /enters/i],
+    curve:    [2, 5],
+    roles:    { threat: 10, removal: 6, draw: 3 },
+  },
+  control: {
+    keywords: ['Flash', 'Ward'],
+    patterns: [/counter target/i, /destroy (all|each)/i, /exile (all|each)/i, /draw (two|three|\w+) cards/i, /destroy target/i, /exile target/i, /gain \d+ life/i],
+    curve:    [2, 6],
+    roles:    { removal: 8, draw: 6, counter: 3, sweeper: 2 },
+  },
+  combo: {
+    keywords: [],
+    patterns: [/whenever/i, /untap/i, /copy/i, /for each/i, /additional/i, /search your library/i],
+    curve:    [1, 5],
+    roles:    { draw: 6, removal: 3 },
+  },
+  tempo: {
+    keywords: ['Flash', 'Flying', 'Prowess', 'Haste'],
+    patterns: [/return target .* to (its|their) owner'?s? hand/i, /counter target/i, /tap target/i, /draw a card/i],
+    curve:    [1, 3],
+    roles:    { threat: 10, counter: 4, draw: 4 },
+  },
+  ramp: {
+    keywords: [],
+    patterns: [/add \{/i, /search your library for a(n)? (basic )?land/i, /put a land card/i, /additional land/i],
+    curve:    [2, 7],
+    roles:    { ramp: 8, threat: 6, removal: 4 },
+  },
+  tribal: {
+    keywords: [],
+    patterns: [/other .* you control/i, /creature type/i, /each creature you control of the chosen type/i],
+    curve:    [1, 4],
+    roles:    { threat: 14, removal: 4 },
+  },
+};
+export const DEFAULT_PROMPT_BUDGET = 12000;
+// Share of the budget lands may take up before the spells are ranked
+const PROMPT_LAND_SHARE = 0.25;
+const INSTRUCTION_STOPWORDS = new Set(['with', 'that', 'this', 'more', 'less', 'some', 'from', 'into', 'deck', 'cards', 'card', 'include', 'focus', 'should', 'would', 'have', 'make', 'good', 'lots', 'want', 'like', 'them', 'they', 'than', 'only', 'also']);
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function creatureSubtypes(card) {
+  const [, subtypes] = card.typeLine.split(' // ')[0].split(' — ');
+  return card.typeLine.includes('Creature') && subtypes ? subtypes.split(' ') : [];
+}
+
+// Signals the user gave us: pinned cards' subtypes and keywords plus the
+// meaningful words of the free-text instructions.
+function buildRelevanceContext(pool, archetype, instructions, pinnedNames) {
+  const pinned = pinnedNames.map(name => pool.cards[name]).filter(Boolean);
+  const subtypeCounts = {};
+  for (const card of pinned) {
+    for (const t of creatureSubtypes(card)) subtypeCounts[t] = (subtypeCounts[t] || 0) + 1;
+  }
+  const words = (instructions.toLowerCase().match(/[a-z][a-z'+/-]{3,}/g) || [])
+    .filter(w => !INSTRUCTION_STOPWORDS.has(w));
+
+  // Instruction words that name a creature type ("elves" → Elf) count as tribes too
+  const poolSubtypes = new Set(pool.names.flatMap(n => creatureSubtypes(pool.cards[n])));
+  for (const w of words) {
+    const singular = w.replace(/ves$/, 'f').replace(/s$/, '');
+    const type = singular.charAt(0).toUpperCase() + singular.slice(1);
+    if (poolSubtypes.has(type)) subtypeCounts[type] = (subtypeCounts[type] || 0) + 1;
+  }
+
+  return {
+    profile:  ARCHETYPE_PROFILES[archetype] || ARCHETYPE_PROFILES.midrange,
+    words,
+    subtypes: new Set(Object.keys(subtypeCounts)),
+    keywords: new Set(pinned.flatMap(c => c.keywords || [])),
+  };
+}
+
+function scoreCardRelevance(name, card, ctx, colors) {
+  const oracle = card.oracleText || '';
+  const haystack = `${name} ${card.typeLine} ${oracle}`.toLowerCase();
+  let score = 0;
+
+  for (const k of card.keywords || []) {
+    if (ctx.profile.keywords.includes(k)) score += 2;
+    if (ctx.keywords.has(k)) score += 1.5;
+  }
+  for (const pattern of ctx.profile.patterns) {
+    if (pattern.test(oracle)) score += 2;
+  }
+  for (const w of ctx.words) {
+    if (haystack.includes(w)) score += 3;
+  }
+  for (const t of ctx.subtypes) {
+    if (creatureSubtypes(card).includes(t)) score += 4;
+    else if (oracle.includes(t)) score += 2;
+  }
+
+  const [low, high] = ctx.profile.curve;
+  const mv = card.cmc || 0;
+  if (mv >= low && mv <= high) score += 1.5;
+  else score -= Math.min(Math.abs(mv < low ? low - mv : mv - high), 3) * 0.5;
+
+  // Gold cards in exactly the chosen colors are usually strong build-arounds
+  const wubrg = [...colors].filter(c => c !== 'C');
+  if (card.colorIdentity.length > 1 && card.colorIdentity.every(c => wubrg.includes(c))) score += 1;
+  if (card.rarity === 'rare' || card.rarity === 'mythic') score += 0.5;
+  return score;
+}
+
+// Pinned cards and the deck being refined always make the list. Lands that
+// tap for the selected colors come next, basics first, within
+// PROMPT_LAND_SHARE of the budget; then the rest are added best-first.
+// Returned in pool order so short IDs stay stable for the same selection.
+export function selectPromptShortlist(pool, filteredNames, { archetype, instructions, budget, colors, keep = [], pinned = [], lineNote = null }) {
+  const always = new Set([...keep, ...pinned]);
+  const lineTokens = (name) => estimateTokens(formatCardLine(pool.cards[name], 'C0000', lineNote?.(name, pool.cards[name]) || ''));
+
+  if (!budget) {
+    return { names: filteredNames, tokens: filteredNames.reduce((n, name) => n + lineTokens(name), 0), trimmed: false };
+  }
+
+  const chosen = new Set();
+  let tokens = 0;
+  const add = (name, cost = lineTokens(name)) => {
+    chosen.add(name);
+    tokens += cost;
+  };
+  for (const name of filteredNames) {
+    if (always.has(name)) add(name);
+  }
+
+  // Lands that tap for none of the colors (utility lands) are ranked with the spells
+  const wubrg = [...(colors || [])].filter(c => WUBRG.includes(c));
+  const landColors = (card) => card.typeLine.includes('Basic')
+    ? WUBRG.length + 1
+    : wubrg.length === 0 ? 1 : manaSourceColors(card).filter(c => wubrg.includes(c)).length;
+  const lands = filteredNames
+    .filter(name => !chosen.has(name) && isLandCard(pool.cards[name]) && landColors(pool.cards[name]) > 0)
+    .sort((a, b) => landColors(pool.cards[b]) - landColors(pool.cards[a]));
+  const landBudget = Math.min(budget, tokens + budget * PROMPT_LAND_SHARE);
+  for (const name of lands) {
+    const cost = lineTokens(name);
+    if (tokens + cost <= landBudget) add(name, cost);
+  }
+
+  const ctx = buildRelevanceContext(pool, archetype, instructions, pinned);
+  const landSet = new Set(lands);
+  const ranked = filteredNames
+    .filter(name => !chosen.has(name) && !landSet.has(name))
+    .map(name => ({ name, score: scoreCardRelevance(name, pool.cards[name], ctx, colors) }))
+    .sort((a, b) => b.score - a.score);
+  for (const { name } of ranked) {
+    const cost = lineTokens(name);
+    if (tokens + cost <= budget) add(name, cost);
+  }
+
+  return {
+    names:   filteredNames.filter(name => chosen.has(name)),
+    tokens,
+    trimmed: chosen.size < filteredNames.length,
+  };
+}
+
+// ============================================================
+// Deck prompt
+// ============================================================
+// Deck list in the short-ID form the model reads; cards outside the
+// current prompt's list fall back to their names.
+export function formatDeckForPrompt(parsed, nameToId) {
+  const lines = (entries) => entries.map(e => `${e.count} ${nameToId[e.name] || e.name}`).join('\n');
+  let text = parsed.commander?.length ? `Commander\n${lines(parsed.commander)}\n\n` : '';
+  text += `Deck\n${lines(parsed.deck)}`;
+  if (parsed.sideboard?.length) text += `\n\nSideboard\n${lines(parsed.sideboard)}`;
+  return text;
+}
+
+// Structured constraints for the prompt. Pinned cards are referenced by
+// their IDs (they are always in the list); banned cards are left out of the
+// list entirely and named here so the model doesn't reach for them anyway.
+export function buildCardConstraintText({ include, exclude }, nameToId) {
+  const pins = Object.entries(include);
+  const bans = [...exclude];
+  if (pins.length === 0 && bans.length === 0) return '';
+
+  let text = '\nCARD CONSTRAINTS (mandatory):\n';
+  if (pins.length) {
+    text += `Must include in the main deck:\n${pins.map(([name, count]) => `- ${count} ${nameToId[name] || name}`).join('\n')}\n`;
+  }
+  if (bans.length) {
+    text += `Must NOT include (removed from the list): ${bans.join(', ')}\n`;
+  }
+  return text;
+}
+
+// The user turn of a generation. `constraints` holds any collection or
+// card-constraint blocks; `commander` is the commander's card ID in
+// singleton formats.
+export function buildDeckPrompt({ formatName, archetype, colors, colorMode = 'subset', splash = [], bo3, cardListText, trimmed, constraints = '', instructions = '', commander = null, rules = DECK_RULES }) {
+  const matchFormat = rules.limited
+    ? `Limited: at least ${rules.mainDeckSize} cards, no more copies of a card than "N in pool", any number of basic lands. Leave the sideboard empty; the rest of the pool is the sideboard.`
+    : rules.singleton
+    ? `Commander: ${commander} (in the list below). Build the other ${rules.mainDeckSize} cards around it: singleton, no sideboard, and leave the commander itself out of "deck".`
+    : `Match Format: ${bo3 ? `Best of 3 (include a ${rules.sideboardSize}-card sideboard)` : 'Best of 1 (no sideboard needed)'}.`;
+  const listHeading = rules.limited
+    ? 'Here is my pool, the only cards you may choose from'
+    : `Here are ${trimmed ? 'the most relevant' : 'ALL the'} legal ${formatName} cards you may choose from`;
+
+  return `Build me a ${formatName}-legal MTG Arena ${archetype} deck ${colorRequestText(colors, colorMode, splash)}
+${matchFormat}
+
+${listHeading} (you MUST only use cards from this list):
+${cardListText}
+
+${constraints}
+${instructions ? `Additional instructions: ${instructions}` : ''}
+
+Remember: each card above is identified by an ID (e.g., C42). Use those IDs — not card names — for every "id" and "companion" value. Respond with the JSON deck object:
+- "deck": the main deck entries, each with a one-sentence "reason"
+- "sideboard": the sideboard entries (an empty array for Best of 1)
+- "companion": the companion's ID, or null
+- "strategy": the game plan and key card choices, using card names (which you know from the oracle text context)`;
+}
+
+// ============================================================
+// Refinement conversation
+// ============================================================
+// Opens a refinement conversation for a deck that wasn't generated in this
+// session (imported, opened from the library, shared): the card list the
+// follow-ups can draw from, without asking for a new deck.
+export function buildRefinementIntro({ formatName, archetype, cardListText, trimmed, constraints = '' }) {
+  return `I'm refining an MTG Arena ${formatName} ${archetype} deck and will ask for specific changes.
+
+Here are ${trimmed ? 'the most relevant' : 'ALL the'} legal ${formatName} cards you may add (you MUST only use cards from this list):
+${cardListText}
+${constraints}
+Each card is identified by an ID (e.g., C42). Show me the current deck.`;
+}
+
+// A follow-up turn. The current deck is restated every time, so earlier
+// turns can be trimmed without losing track of the list.
+export function buildFollowUpPrompt({ deck, request, newCards = '', rules = DECK_RULES }) {
+  return `Current deck (card IDs):
+${deck}
+${newCards ? `\nCards in the deck that weren't in the list above:\n${newCards}` : ''}
+Requested change: ${request}
+
+Reply with a JSON object: "changes" lists only the edits this request needs — each {"action": "add" or "remove", "id", "count", "section": "deck" or "sideboard", "reason"} — and "reply" briefly explains them. Keep the main deck at ${rules.limited ? `${rules.mainDeckSize} cards or more` : `${rules.mainDeckSize} cards (every card removed is replaced)`}${rules.limited ? ', never more copies than the pool has' : ''}${rules.singleton ? ', never add a second copy of a card (or the commander)' : ''} and don't repeat the rest of the deck.`;
+}
+
+// { changes, reply } with IDs resolved to names, or { changes: null,
+// schemaErrors } when the reply isn't a valid change list
+export function parseDeckChanges(text, idMap) {
+  const json = extractJsonObject(text);
+  if (!json) return { changes: null, schemaErrors: ['The reply is not a JSON change list'] };
+  const schemaErrors = validateAgainstSchema(json, DECK_CHANGES_SCHEMA);
+  if (schemaErrors.length > 0) return { changes: null, schemaErrors };
+  const idErrors = unknownIdErrors(json.changes.map(c => c.id), idMap, 'response.changes');
+  if (idErrors.length > 0) return { changes: null, schemaErrors: idErrors };
+
+  return {
+    changes: json.changes.map(c => ({
+      action:  c.action,
+      count:   c.count,
+      name:    idMap[c.id],
+      section: c.section,
+      reason:  c.reason,
+    })),
+    reply: json.reply.trim(),
+  };
+}
+
+// Applies changes to a copy of `parsed`. Removals of cards the section
+// doesn't have are returned in `skipped` rather than guessed at.
+export function applyDeckChanges(parsed, changes) {
+  const next = {
+    ...parsed,
+    deck:      parsed.deck.map(e => ({ ...e })),
+    sideboard: (parsed.sideboard || []).map(e => ({ ...e })),
+  };
+  const skipped = [];
+  for (const change of changes) {
+    const list  = next[change.section];
+    const entry = list.find(e => e.name === change.name);
+    if (change.action === 'add') {
+      if (entry) entry.count += change.count;
+      else list.push({ count: change.count, name: change.name, reason: change.reason });
+    } else if (!entry) {
+      skipped.push({ ...change, message: `${change.name} isn't in the ${change.section === 'deck' ? 'main deck' : 'sideboard'}` });
+    } else {
+      entry.count -= Math.min(change.count, entry.count);
+    }
+  }
+  next.deck = next.deck.filter(e => e.count > 0);
+  next.sideboard = next.sideboard.filter(e => e.count > 0);
+  if (next.sideboard.length === 0) next.sideboard = null;
+  return { deck: next, skipped };
+}
+
+export function formatDeckChange(change) {
+  const sign = change.action === 'add' ? '+' : '−';
+  return `${sign}${change.count} ${change.name}${change.section === 'sideboard' ? ' (sideboard)' : ''}`;
+}
+
+// Drops the oldest turns after the first `keep` messages (system prompt,
+// card list, opening deck) until the rest fit `maxTokens` and the whole
+// conversation fits `maxMessages`. The last message is never dropped.
+export function trimConversation(messages, { keep, maxTokens, maxMessages }) {
+  const tokens = (list) => list.reduce((n, m) => n + estimateTokens(m.content), 0);
+  let tail = messages.slice(keep);
+  let dropped = 0;
+  while (tail.length > 2 && (tokens(tail) > maxTokens || keep + tail.length > maxMessages)) {
+    tail = tail.slice(2);
+    dropped += 2;
+  }
+  return { messages: [...messages.slice(0, keep), ...tail], dropped };
+}
+
+// ============================================================
+// Parse deck list from response
+// ============================================================
+// Structured replies are validated against DECK_RESPONSE_SCHEMA; anything
+// that isn't a JSON object falls back to the Arena text parser. `idMap`
+// turns the model's short IDs back into card names.
+export function parseDeckResponse(text, idMap) {
+  const json = extractJsonObject(text);
+  if (!json) return parseDeckList(text, idMap);
+
+  const schemaErrors = validateAgainstSchema(json, DECK_RESPONSE_SCHEMA);
+  if (schemaErrors.length > 0) return { deck: null, schemaErrors };
+
+  const idErrors = [
+    ...unknownIdErrors(json.deck.map(e => e.id), idMap, 'response.deck'),
+    ...unknownIdErrors(json.sideboard.map(e => e.id), idMap, 'response.sideboard'),
+    ...(json.companion && !Object.hasOwn(idMap, json.companion) ? [`response.companion "${json.companion}" is not a card ID from the list`] : []),
+  ];
+  if (idErrors.length > 0) return { deck: null, schemaErrors: idErrors };
+
+  const toEntries = (list) => list.map(e => ({
+    count:  e.count,
+    name:   idMap[e.id],
+    reason: e.reason,
+  }));
+  const deck = toEntries(json.deck);
+  if (deck.length === 0) return { deck: null, schemaErrors: ['The deck array is empty'] };
+
+  const sideboard = toEntries(json.sideboard);
+  const companion = json.companion ? [{ count: 1, name: idMap[json.companion] }] : null;
+  return {
+    deck,
+    sideboard:   sideboard.length > 0 ? sideboard : null,
+    companion,
+    explanation: formatStructuredStrategy(json.strategy, deck, sideboard),
+  };
+}
+
+// The model only sees IDs from the card list; one it made up would otherwise
+// reach validateDeck() as a card name that isn't in the pool
+function unknownIdErrors(ids, idMap, path) {
+  return ids.flatMap((id, i) => Object.hasOwn(idMap, id) ? [] : [`${path}[${i}].id "${id}" is not a card ID from the list`]);
+}
+
+// Accepts bare JSON or JSON inside a ``` fence; null when there's no object
+export function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end   = text.lastIndexOf('}');
+  if (start === -1 || end < start || text.slice(0, start).replace(/```(json)?/i, '').trim()) return null;
+  try {
+    const value = JSON.parse(text.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// Supports the subset of JSON Schema used by the deck and change schemas.
+// Returns a list of human-readable problems; empty means valid.
+export function validateAgainstSchema(value, schema, path = 'response') {
+  const types  = [].concat(schema.type || []);
+  const typeOf = (v) => v === null ? 'null'
+    : Array.isArray(v) ? 'array'
+    : Number.isInteger(v) ? 'integer'
+    : typeof v;
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${path} should be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) errors.push(...validateAgainstSchema(child, childSchema, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} "${value}" does not match ${schema.pattern}`);
+  }
+  return errors;
+}
+
+function formatStructuredStrategy(strategy, deck, sideboard) {
+  const reasons = [...deck, ...sideboard]
+    .filter(e => e.reason)
+    .map(e => `• ${e.name} — ${e.reason}`);
+  return reasons.length > 0 ? `${strategy.trim()}\n\nCard choices:\n${reasons.join('\n')}` : strategy.trim();
+}
+
+// Lines that name a card ID (C42) must use one from `idMap`; others are
+// taken as card names
+export function parseDeckList(text, idMap = {}) {
+  const lines = text.split('\n');
+  let deck = [], sideboard = [];
+  const schemaErrors = [];
+  let currentSection = null;
+  let explanation = [];
+  let pastDeck = false;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (/^deck$/i.test(trimmed))      { currentSection = 'deck';      continue; }
+    if (/^sideboard$/i.test(trimmed)) { currentSection = 'sideboard'; continue; }
+
+    const match = trimmed.match(/^(\d+)x?\s+(.+)$/);
+    if (match && currentSection) {
+      const count = parseInt(match[1], 10);
+      const id    = match[2].trim();
+      if (CARD_ID.test(id) && !Object.hasOwn(idMap, id)) {
+        schemaErrors.push(`"${trimmed}": ${id} is not a card ID from the list`);
+        continue;
+      }
+      const name  = idMap[id] || id;
+      if (currentSection === 'deck') deck.push({ count, name });
+      else sideboard.push({ count, name });
+      continue;
+    }
+
+    if (deck.length > 0 && !match && trimmed && currentSection !== 'sideboard') {
+      if (!/^[-=]+$/.test(trimmed)) pastDeck = true;
+    }
+    if (pastDeck && trimmed) explanation.push(trimmed);
+  }
+
+  if (schemaErrors.length > 0) return { deck: null, schemaErrors };
+  if (deck.length === 0) return { deck: null };
+  return { deck, sideboard: sideboard.length > 0 ? sideboard : null, explanation: explanation.join('\n') };
+}
+
+// ============================================================
+// Import — MTG Arena export text
+// ============================================================
+const ARENA_SECTIONS = {
+  deck:      'deck',
+  sideboard: 'sideboard',
+  commander: 'commander',
+  companion: 'companion',
+  about:     'about',
+};
+
+// Parses Arena's export format, including "4 Card Name (SET) 123" suffixes.
+// Returns the parsed deck plus one problem entry per line that could not be
+// read or resolved against the pool.
+export function parseArenaImport(text, pool) {
+  const result   = { deck: [], sideboard: [], commander: [], companion: [] };
+  const problems = [];
+  const cfg      = FORMAT_CONFIG[pool.format];
+  let section    = null;
+  let sawHeader  = false;
+
+  text.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    const lineNo  = i + 1;
+
+    if (!trimmed) {
+      // Older exports separate the sideboard with a blank line instead of a header
+      if (!sawHeader && section === 'deck' && result.deck.length > 0) section = 'sideboard';
+      return;
+    }
+
+    const header = ARENA_SECTIONS[trimmed.toLowerCase()];
+    if (header) {
+      section   = header;
+      sawHeader = true;
+      return;
+    }
+    if (section === 'about') return;
+
+    const match = trimmed.match(/^(\d+)x?\s+(.+?)(?:\s+\(([A-Za-z0-9]+)\)(?:\s+\S+)?)?$/);
+    if (!match) {
+      problems.push({ line: lineNo, text: trimmed, kind: 'unreadable', message: 'Could not read this line (expected "4 Card Name")' });
+      return;
+    }
+
+    const count = parseInt(match[1], 10);
+    const rawName = match[2].trim();
+    const name = resolveCardName(pool, rawName);
+    if (!name) {
+      // A close pool name means a typo; otherwise the card may be real but
+      // not in this pool, which only the caller can check against other pools
+      const suggestion = suggestCardName(pool, rawName);
+      problems.push({
+        line:    lineNo,
+        text:    trimmed,
+        kind:    'unresolved',
+        name:    rawName,
+        suggestion,
+        message: suggestion
+          ? `"${rawName}" is not in the ${cfg.displayName} card pool; did you mean ${suggestion}?`
+          : `"${rawName}" is not in the ${cfg.displayName} card pool (not legal in ${cfg.displayName}, or misspelled)`,
+      });
+    }
+
+    if (!section) section = 'deck';
+    result[section].push({ count, name: name || rawName });
+  });
+
+  return { parsed: result, problems };
+}
+
+// Import result → the { deck, sideboard, commander, companion } shape used
+// everywhere else, with empty sections as null
+export function importedDeck(parsed) {
+  const orNull = (list) => list.length > 0 ? list : null;
+  return {
+    deck:      parsed.deck,
+    sideboard: orNull(parsed.sideboard),
+    commander: orNull(parsed.commander),
+    companion: orNull(parsed.companion),
+  };
+}
+
+// Arena import text, sections in export order
+export function formatDeckText(parsed) {
+  let text = '';
+  for (const [header, entries] of [['Commander', parsed.commander], ['Companion', parsed.companion]]) {
+    if (!entries?.length) continue;
+    text += `${header}\n`;
+    for (const entry of entries) text += `${entry.count} ${entry.name}\n`;
+    text += '\n';
+  }
+
+  text += 'Deck\n';
+  for (const entry of parsed.deck) text += `${entry.count} ${entry.name}\n`;
+
+  if (parsed.sideboard?.length) {
+    text += '\nSideboard\n';
+    for (const entry of parsed.sideboard) text += `${entry.count} ${entry.name}\n`;
+  }
+  return text.trim();
+}
+
+// ============================================================
+// Deck legality validation
+// ============================================================
+export function isCopyLimitExempt(card) {
+  if (!card) return false;
+  return card.typeLine.includes('Basic Land')
+    || /a deck can have any number of cards named/i.test(card.oracleText || '');
+}
+
+// `include` holds pinned cards, which may sit outside the colors.
+// `extraChecks` are (parsed, copies) → check-or-null callbacks for rules
+// that need more than the pool (collection, card constraints).
+// In singleton formats the commander's color identity replaces `colors`;
+// otherwise `colorMode` and `splash` are checked by checkColorRequest().
+// `limited` (copies per card name) switches to LIMITED_RULES for that pool.
+export function validateDeck(parsed, { pool, colors, colorMode = 'subset', splash = [], bo3, include = {}, limited = null, extraChecks = [] }) {
+  const cfg        = FORMAT_CONFIG[pool.format];
+  const rules      = limited ? LIMITED_RULES : deckRules(pool.format);
+  const sideboard  = parsed.sideboard || [];
+  const commanders = parsed.commander || [];
+  const mainCount  = parsed.deck.reduce((sum, e) => sum + e.count, 0);
+  const sideCount  = sideboard.reduce((sum, e) => sum + e.count, 0);
+
+  // The commander counts as a copy, so it can't also sit in the main deck
+  const copies = {};
+  for (const entry of [...parsed.deck, ...sideboard, ...commanders]) {
+    copies[entry.name] = (copies[entry.name] || 0) + entry.count;
+  }
+  const names = Object.keys(copies);
+
+  const overLimit = limited
+    ? names
+      .filter(name => limited[name] && copies[name] > limited[name] && !isCopyLimitExempt(pool.cards[name]))
+      .map(name => ({ card: name, message: `${copies[name]} copies of ${name}; your pool has ${limited[name]}` }))
+    : names
+      .filter(name => copies[name] > rules.maxCopies && !isCopyLimitExempt(pool.cards[name]))
+      .map(name => ({ card: name, message: `${copies[name]} copies of ${name} (max ${rules.maxCopies})` }));
+
+  const notInPool = names
+    .filter(name => !pool.cards[name] || (limited && !limited[name] && !pool.cards[name].typeLine.includes('Basic Land')))
+    .map(name => ({ card: name, message: `${name} is not in ${limited ? 'your Limited pool' : `the ${cfg.displayName} card pool`}` }));
+
+  const commanderCard = rules.singleton && commanders.length === 1 ? pool.cards[commanders[0].name] : null;
+  const allowed = commanderCard ? commanderColors(commanderCard) : colors;
+  const splashColors = rules.singleton || colorMode !== 'splash' ? [] : Array.from(splash);
+  const outside = commanderCard ? "the commander's color identity" : 'the selected colors';
+  // A Limited sideboard is the rest of the pool, in whatever colors
+  const colorNames = limited ? [...new Set(parsed.deck.map(e => e.name))] : names;
+  const offColor = colorNames
+    .filter(name => pool.cards[name] && !fitsColorRequest(pool.cards[name], allowed, splashColors, { identity: Boolean(rules.singleton) }) && (rules.singleton || !include[name]))
+    .map(name => {
+      const card = pool.cards[name];
+      return splashColors.length > 0 && fitsColors(card, [...allowed, ...splashColors])
+        ? { card: name, message: `${name} has ${splashPips(card, splashColors)} splash pips; splash cards may have ${SPLASH_LIMITS.pips}` }
+        : { card: name, message: `${name} (${card.colorIdentity.join('') || 'colorless'}) is outside ${outside}` };
+    });
+
+  const checks = [
+    limited
+      ? {
+        label:    'Main Deck Size',
+        detail:   `${mainCount} (min ${rules.mainDeckSize})`,
+        problems: mainCount >= rules.mainDeckSize
+          ? []
+          : [{ message: `Main deck has ${mainCount} cards; it needs at least ${rules.mainDeckSize}` }],
+      }
+      : {
+        label:    'Main Deck Size',
+        detail:   `${mainCount} / ${rules.mainDeckSize}${rules.singleton ? ' + commander' : ''}`,
+        problems: mainCount === rules.mainDeckSize
+          ? []
+          : [{ message: `Main deck has ${mainCount} cards; it must have exactly ${rules.mainDeckSize}` }],
+      },
+    {
+      label:    'Copy Limit',
+      detail:   limited ? 'Copies in your pool (basics exempt)'
+        : rules.singleton ? 'Singleton (basics exempt)' : `Max ${rules.maxCopies} (basics exempt)`,
+      problems: overLimit,
+    },
+    limited
+      ? { label: 'Sideboard Size', detail: 'Rest of the pool', problems: [] }
+      : rules.singleton
+      ? {
+        label:    'Sideboard Size',
+        detail:   `Not used in ${cfg.displayName}`,
+        problems: sideCount > 0
+          ? [{ message: `${cfg.displayName} decks have no sideboard; move or cut its ${sideCount} cards` }]
+          : [],
+      }
+      : {
+        label:    'Sideboard Size',
+        detail:   bo3 ? `${sideCount} / ${rules.sideboardSize}` : 'Not used in Best of 1',
+        problems: bo3 && sideCount > rules.sideboardSize
+          ? [{ message: `Sideboard has ${sideCount} cards; the limit is ${rules.sideboardSize}` }]
+          : [],
+      },
+    {
+      label:    'Card Pool',
+      detail:   limited ? `Limited pool (${cfg.displayName} card data)` : cfg.displayName,
+      problems: notInPool,
+    },
+    {
+      label:    'Color Identity',
+      detail:   commanderCard
+        ? `${commanderCard.colorIdentity.join('') || 'C'} (commander)`
+        : `${Array.from(colors).join('') || 'Any'}${splashColors.length ? ` + ${splashColors.join('')} splash` : ''}`,
+      problems: offColor,
+    },
+  ];
+  if (rules.singleton) checks.unshift(checkCommander(commanders, pool, cfg));
+  const colorCheck = !rules.singleton && checkColorRequest(parsed, pool, { colors, colorMode, splash: splashColors, limited });
+  if (colorCheck) checks.push(colorCheck);
+
+  for (const extraCheck of extraChecks) {
+    const check = extraCheck(parsed, copies);
+    if (check) checks.push(check);
+  }
+
+  const violations = checks.flatMap(c => c.problems);
+  return { valid: violations.length === 0, checks, violations, repairAttempts: 0 };
+}
+
+function checkCommander(commanders, pool, cfg) {
+  const check = { label: 'Commander', detail: commanders.map(e => e.name).join(', ') || 'None', problems: [] };
+  const card = commanders.length === 1 ? pool.cards[commanders[0].name] : null;
+  if (commanders.length !== 1 || commanders[0].count !== 1) {
+    check.problems.push({ message: `A ${cfg.displayName} deck needs exactly one commander` });
+  } else if (card && !isCommanderCandidate(card)) {
+    check.problems.push({ card: commanders[0].name, message: `${commanders[0].name} can't be a commander; pick a legendary creature or planeswalker` });
+  }
+  return check;
+}
+
+// `changes` asks for further edits in the change-list format of a follow-up
+// turn instead of a complete deck
+export function buildRepairPrompt(report, nameToId, { changes = false } = {}) {
+  // The model only knows cards by their short IDs, so tag each violation with one
+  const lines = report.violations.map(v => {
+    const ids = [v.card, ...(v.cards || [])].map(name => name && nameToId[name]).filter(Boolean);
+    return `- ${v.message}${ids.length ? ` [${ids.join(', ')}]` : ''}`;
+  });
+
+  return `Your deck list breaks these rules:
+${lines.join('\n')}
+
+${changes
+    ? 'Fix every violation using ONLY cards from the provided list. Reply with the further changes needed on top of the ones you just made, in the same change-list format.'
+    : 'Fix every violation using ONLY cards from the provided list. Output the complete corrected deck in the same response format as before, using the card IDs, with a brief strategy explanation.'}`;
+}
+
+// For a reply that couldn't be read at all: nothing from it was kept, so the
+// model answers again in full
+export function buildSchemaRepairPrompt(schemaErrors) {
+  return `Your reply doesn't match the response format:
+${schemaErrors.map(e => `- ${e}`).join('\n')}
+
+Reply again with the complete response in the same format, using ONLY card IDs from the provided list.`;
+}
+
+// ============================================================
+// Deck stats
+// ============================================================
+export const CURVE_BUCKETS = ['0', '1', '2', '3', '4', '5', '6', '7+'];
+
+// Card-type totals and the mana curve of the main deck's nonland cards.
+// A commander counts toward both, as it does toward a Brawl deck's size.
+export function computeDeckStats(parsed, pool) {
+  const stats = { totalCards: 0, creatures: 0, spells: 0, lands: 0, curve: {} };
+
+  for (const entry of [...(parsed.commander || []), ...parsed.deck]) {
+    stats.totalCards += entry.count;
+    const data = pool.cards[entry.name];
+    if (!data) continue;
+    const tl = data.typeLine;
+    if (tl.includes('Land'))          stats.lands     += entry.count;
+    else if (tl.includes('Creature')) stats.creatures += entry.count;
+    else                              stats.spells    += entry.count;
+
+    if (!tl.includes('Land')) {
+      const bucket = Math.min(Math.floor(data.cmc), 7);
+      const label = bucket >= 7 ? '7+' : String(bucket);
+      stats.curve[label] = (stats.curve[label] || 0) + entry.count;
+    }
+  }
+  return stats;
+}
+
+// ============================================================
+// Mana helpers — cost pips and land mana production
+// ============================================================
+export const WUBRG = ['W', 'U', 'B', 'R', 'G'];
+export const BASIC_LAND_TYPES = { Plains: 'W', Island: 'U', Swamp: 'B', Mountain: 'R', Forest: 'G' };
+
+// Colored requirements of a mana cost, one entry per pip listing the colors
+// that can pay it. Hybrid pips ({W/U}) accept either color. Phyrexian pips
+// ({W/P}) and two-generic hybrids ({2/W}) can be paid without the color, so
+// they are soft demand: left out unless `soft` is set. Only the front face
+// of a card counts.
+export function parseManaCost(manaCost, { soft = false } = {}) {
+  const pips = [];
+  const front = (manaCost || '').split(' // ')[0];
+  for (const [, symbol] of front.matchAll(/\{([^}]+)\}/g)) {
+    const parts = symbol.split('/');
+    if (!soft && (parts.includes('P') || parts.includes('2'))) continue;
+    const colors = parts.filter(p => WUBRG.includes(p));
+    if (colors.length) pips.push(colors);
+  }
+  return pips;
+}
+
+export function isLandCard(card) {
+  return card.typeLine.split(' // ')[0].includes('Land');
+}
+
+// Colors a land or mana producer can tap (or fetch) for, read from its basic
+// land types and the "Add ..." / "search your library for ..." clauses.
+export function manaSourceColors(card) {
+  const colors = new Set();
+  const text = card.oracleText || '';
+  for (const [type, color] of Object.entries(BASIC_LAND_TYPES)) {
+    if (card.typeLine.includes(type)) colors.add(color);
+  }
+  for (const [, clause] of text.matchAll(/add ([^.]*)/gi)) {
+    if (/any (one )?color|mana of any type/i.test(clause)) WUBRG.forEach(c => colors.add(c));
+    for (const [, c] of clause.matchAll(/\{([WUBRG])\}/g)) colors.add(c);
+  }
+  for (const [, target] of text.matchAll(/search your library for an? ([^.]*?) card/gi)) {
+    if (/^basic land$/i.test(target.trim())) WUBRG.forEach(c => colors.add(c));
+    for (const [type, color] of Object.entries(BASIC_LAND_TYPES)) {
+      if (target.includes(type)) colors.add(color);
+    }
+  }
+  return Array.from(colors);
+}
+
+// Can `lands` (each an array of colors) pay `cmc` with the given pips?
+// Scarce pips claim the least flexible lands first.
+export function canPayWithLands(lands, cmc, pips) {
+  if (lands.length < cmc) return false;
+  const used = new Array(lands.length).fill(false);
+  const ordered = [...pips].sort((a, b) =>
+    lands.filter(l => l.some(c => a.includes(c))).length - lands.filter(l => l.some(c => b.includes(c))).length);
+  for (const pip of ordered) {
+    let best = -1;
+    lands.forEach((land, i) => {
+      if (used[i] || !land.some(c => pip.includes(c))) return;
+      if (best === -1 || land.length < lands[best].length) best = i;
+    });
+    if (best === -1) return false;
+    used[best] = true;
+  }
+  return true;
+}
+
+// ============================================================
+// Mana Base Analyzer — colored sources vs. what the spells demand
+// ============================================================
+// Colored sources needed to cast a spell on curve ~90% of the time in a
+// 60-card deck, after Frank Karsten's tables. Rows: colored pips of one
+// color (1–4); columns: turn the spell should be cast (1–6+).
+const SOURCE_REQUIREMENTS = {
+  1: [14, 13, 12, 10, 9, 9],
+  2: [21, 21, 18, 16, 15, 14],
+  3: [23, 23, 23, 21, 19, 18],
+  4: [24, 24, 24, 24, 22, 21],
+};
+const MAX_MANA_SWAPS = 8;
+
+// Other deck sizes (40-card Limited, 100-card Historic Brawl) scale the
+// 60-card figures by deck size, a rough fit that keeps the same share of
+// sources in the deck
+function requiredSources(pipCount, turn, deckSize = 60) {
+  const row = SOURCE_REQUIREMENTS[Math.min(pipCount, 4)];
+  const needed = row[Math.min(Math.max(turn, 1), 6) - 1];
+  return deckSize === 60 ? needed : Math.round(needed * deckSize / 60);
+}
+
+// A hybrid pip can be paid by either color, so neither needs to support it
+// alone: it counts once, toward whichever of its colors has the most sources.
+function colorPipCounts(pips, sources) {
+  const counts = {};
+  for (const pip of pips) {
+    const c = pip.reduce((best, col) => sourceTotal(sources[col]) > sourceTotal(sources[best]) ? col : best);
+    counts[c] = (counts[c] || 0) + 1;
+  }
+  return counts;
+}
+
+const sourceTotal = (source) => source.lands + source.producers;
+
+function entersTapped(card) {
+  return /enters (the battlefield )?tapped\./i.test(card.oracleText || '');
+}
+
+// `colors` is the color selection that replacement lands must fit.
+// `limited` (copies per card name) sizes the requirements for a 40-card deck
+// and keeps replacement lands to the ones in that pool.
+// Phyrexian and {2/W} pips are soft demand: they raise `softRequired`, the
+// sources needed to always pay them with colored mana, but not `required`,
+// so they never make a color short.
+export function analyzeManaBase(parsed, pool, colors, { limited = null } = {}) {
+  const sources   = Object.fromEntries(WUBRG.map(c => [c, { lands: 0, producers: 0 }]));
+  const demand    = Object.fromEntries(WUBRG.map(c => [c, { required: 0, softRequired: 0 }]));
+  const entries   = [...(parsed.commander || []), ...parsed.deck];
+  const deckSize  = limited ? LIMITED_RULES.mainDeckSize : FORMAT_CONFIG[pool.format]?.deckSize || 60;
+  const spells    = [];
+  let landCount   = 0;
+
+  for (const entry of entries) {
+    const card = pool.cards[entry.name];
+    if (!card) continue;
+
+    if (isLandCard(card)) {
+      landCount += entry.count;
+      for (const c of manaSourceColors(card)) sources[c].lands += entry.count;
+      continue;
+    }
+
+    // Cheap dorks and rocks come down early enough to count as sources
+    if (card.cmc <= 2 && /\{T\}[^.]*: add/i.test(card.oracleText || '')) {
+      for (const c of manaSourceColors(card)) sources[c].producers += entry.count;
+    }
+    spells.push({ entry, card });
+  }
+
+  // Hybrid pips go to the best-supported color, so demand is read once all
+  // the sources are counted
+  for (const { entry, card } of spells) {
+    const pips     = parseManaCost(card.manaCost);
+    const softPips = parseManaCost(card.manaCost, { soft: true });
+    const turn     = Math.max(Math.ceil(card.cmc || 0), pips.length, 1);
+    const hard     = colorPipCounts(pips, sources);
+    for (const [color, count] of Object.entries(colorPipCounts(softPips, sources))) {
+      const needed     = hard[color] ? requiredSources(hard[color], turn, deckSize) : 0;
+      const softNeeded = requiredSources(count, turn, deckSize);
+      const d = demand[color];
+      if (needed > d.required) Object.assign(d, { required: needed, card: entry.name, cost: card.manaCost });
+      if (softNeeded > d.softRequired) Object.assign(d, { softRequired: softNeeded, softCard: entry.name, softCost: card.manaCost });
+    }
+  }
+
+  const report = WUBRG.filter(c => demand[c].softRequired > 0).map(c => {
+    const total = sourceTotal(sources[c]);
+    return {
+      color:        c,
+      lands:        sources[c].lands,
+      producers:    sources[c].producers,
+      total,
+      required:     demand[c].required,
+      softRequired: demand[c].softRequired,
+      card:         demand[c].required ? demand[c].card : demand[c].softCard,
+      cost:         demand[c].required ? demand[c].cost : demand[c].softCost,
+      shortfall:    Math.max(0, demand[c].required - total),
+    };
+  });
+  return { landCount, colors: report, swaps: suggestLandSwaps(parsed, report, pool, colors, limited) };
+}
+
+// Greedy swap plan: replace a basic of the color with the most spare sources
+// by the best pool land that also taps for a short color, until every color
+// is covered or nothing useful is left.
+function suggestLandSwaps(parsed, report, pool, selectedColors, limited = null) {
+  const deckColors = report.map(c => c.color);
+  const short = new Map(report.filter(c => c.shortfall > 0).map(c => [c.color, c.shortfall]));
+  if (short.size === 0) return [];
+
+  const surplus = new Map(report.map(c => [c.color, c.total - c.required]));
+  const { maxCopies } = deckRules(pool.format);
+  const available = (name) => limited ? limited[name] || 0 : maxCopies;
+  const copies  = {};
+  for (const e of parsed.deck) copies[e.name] = (copies[e.name] || 0) + e.count;
+
+  const candidates = pool.names
+    .map(name => ({ name, card: pool.cards[name] }))
+    .filter(({ name, card }) => isLandCard(card) && !card.typeLine.includes('Basic') && fitsColors(card, selectedColors) && available(name) > 0)
+    .map(({ name, card }) => {
+      const produces = manaSourceColors(card).filter(c => deckColors.includes(c));
+      return { name, produces, score: produces.length * 2 - (entersTapped(card) ? 1 : 0) };
+    })
+    .filter(c => c.produces.length > 0);
+
+  const swaps = [];
+  while (short.size > 0 && swaps.length < MAX_MANA_SWAPS) {
+    const needed = [...short.keys()];
+    const landIn = candidates
+      .filter(c => (copies[c.name] || 0) < available(c.name) && c.produces.some(col => needed.includes(col)))
+      .sort((a, b) =>
+        b.produces.filter(col => needed.includes(col)).length - a.produces.filter(col => needed.includes(col)).length
+        || b.score - a.score)[0];
+    if (!landIn) break;
+
+    // Cut a basic whose color has the most slack; a short color's basic only
+    // goes if the incoming land taps for that color too
+    const landOut = Object.entries(BASIC_LAND_TYPES)
+      .filter(([basic, color]) => copies[basic] > 0 && (!short.has(color) || landIn.produces.includes(color)))
+      .sort(([, a], [, b]) => (surplus.get(b) ?? Infinity) - (surplus.get(a) ?? Infinity))[0];
+    if (!landOut) break;
+
+    const [outName, outColor] = landOut;
+    copies[outName]--;
+    copies[landIn.name] = (copies[landIn.name] || 0) + 1;
+    if (surplus.has(outColor)) surplus.set(outColor, surplus.get(outColor) - 1);
+    for (const col of landIn.produces) {
+      if (col === outColor) {
+        surplus.set(col, surplus.get(col) + 1);
+        continue;
+      }
+      if (surplus.has(col)) surplus.set(col, surplus.get(col) + 1);
+      if (short.has(col)) {
+        const left = short.get(col) - 1;
+        left > 0 ? short.set(col, left) : short.delete(col);
+      }
+    }
+
+    const last = swaps[swaps.length - 1];
+    if (last && last.out === outName && last.in === landIn.name) last.count++;
+    else swaps.push({ out: outName, in: landIn.name, count: 1 });
+  }
+  return swaps;
+}
+
+// ============================================================
+// Roles & synergy — what each card does and which packages it joins
+// ============================================================
+// Roles are read from oracle text (reminder text removed), type line and
+// keywords; a card can fill several. Interaction roles reuse
+// classifyInteraction().
+export const DECK_ROLES = {
+  threat:    'Threats',
+  removal:   'Removal',
+  sweeper:   'Sweepers',
+  counter:   'Counterspells',
+  draw:      'Card draw',
+  ramp:      'Ramp',
+  tokens:    'Token makers',
+  lifegain:  'Lifegain',
+  protection: 'Protection',
+};
+const EVASION_KEYWORDS = ['Flying', 'Trample', 'Menace', 'Haste', 'Double strike', 'Hexproof', 'Ward'];
+const ROLE_PATTERNS = {
+  draw:       [/\bdraws? (a|an additional|two|three|four|x|\w+) cards?/, /\binvestigate\b/],
+  ramp:       [/\badd (\{|one mana|two mana|x mana|mana)/, /search your library for (a|an|up to \w+) (basic )?lands?/, /put (a|up to \w+) lands? cards? onto the battlefield/],
+  tokens:     [/\bcreates? (a|an|one|two|three|four|five|x|that many|\w+)\b[^.]*\btokens?\b/],
+  lifegain:   [/\bgain (\d+|x|that much) life\b/],
+  protection: [/\b(gains?|have|has) (hexproof|indestructible|protection|ward)\b/, /\bphase(s)? out\b/],
+};
+
+// Lowercased oracle text without reminder text or the card's own name, so
+// "Whenever Goblin Guide attacks" doesn't read as Goblin synergy
+function rulesText(name, card) {
+  let text = (card.oracleText || '').replace(/\([^)]*\)/g, '').toLowerCase();
+  for (const face of name.toLowerCase().split(' // ')) {
+    if (face) text = text.split(face).join('this card');
+  }
+  return text;
+}
+
+export function classifyRoles(card, name = '') {
+  if (!card || isLandCard(card)) return [];
+  const text = rulesText(name, card);
+  const keywords = card.keywords || [];
+  const roles = new Set(classifyInteraction(card));
+  const front = card.typeLine.split(' // ')[0];
+  if (front.includes('Planeswalker') || (front.includes('Creature') && (card.cmc >= 3 || keywords.some(k => EVASION_KEYWORDS.includes(k))))) {
+    roles.add('threat');
+  }
+  for (const [role, patterns] of Object.entries(ROLE_PATTERNS)) {
+    if (patterns.some(p => p.test(text))) roles.add(role);
+  }
+  if (keywords.includes('Lifelink')) roles.add('lifegain');
+  return Object.keys(DECK_ROLES).filter(role => roles.has(role));
+}
+
+// Packages a deck can build around. Enablers feed a package, payoffs reward
+// it; a package counts once the deck plays a payoff and MIN_PACKAGE_CARDS
+// different cards in it. Creature types are added per deck (see tribalPackages).
+const SYNERGY_PACKAGES = {
+  counters: {
+    label:   '+1/+1 counters',
+    enabler: /\+1\/\+1 counters?/,
+    payoff:  /(whenever|for each|with) (one or more )?\+1\/\+1 counters?|(creature|permanent)s? you control with (a )?\+1\/\+1 counter|proliferate/,
+  },
+  graveyard: {
+    label:   'Graveyard',
+    enabler: /\bmills?\b|\bsurveil\b|discard|put .* into your graveyard/,
+    payoff:  /from your graveyard|cards? in your graveyard|flashback|escape|unearth|disturb|delve/,
+  },
+  artifacts: {
+    label:   'Artifacts',
+    type:    'Artifact',
+    enabler: /create[^.]*\b(treasure|clue|food|blood|map|artifact)\b[^.]*tokens?/,
+    payoff:  /artifacts? you control|whenever (an|another|one or more) (nontoken )?artifacts?|for each artifact|affinity for artifacts|improvise/,
+  },
+  enchantments: {
+    label:   'Enchantments',
+    type:    'Enchantment',
+    enabler: null,
+    payoff:  /enchantments? you control|whenever (an|another) enchantment|for each enchantment|constellation/,
+  },
+  spells: {
+    label:   'Instants & sorceries',
+    type:    /Instant|Sorcery/,
+    enabler: null,
+    payoff:  /whenever you cast (a|an|your) (instant|sorcery|noncreature)|instant (and|or) sorcery cards? in your graveyard|prowess/,
+  },
+  goWide: {
+    label:   'Go wide',
+    enabler: ROLE_PATTERNS.tokens[0],
+    payoff:  /creatures you control get|for each creature you control|whenever (one or more|a|another) (other )?(creature|token)s? (you control )?enters?/,
+  },
+  lifegain: {
+    label:   'Lifegain',
+    enabler: ROLE_PATTERNS.lifegain[0],
+    payoff:  /whenever you gain life|if you('ve| have) gained( \d+ or more)? life/,
+  },
+  sacrifice: {
+    label:   'Sacrifice',
+    enabler: /sacrifice (a|an|another) (creature|artifact|permanent|token)/,
+    payoff:  /whenever (a|another|one or more) (other )?(creature|creatures|permanent)s? (you control )?(dies|die|is put into a graveyard)/,
+  },
+};
+export const MIN_PACKAGE_CARDS = 3;
+
+function packageRole(pkg, card, text) {
+  if (pkg.payoff.test(text)) return 'payoff';
+  const typed = pkg.type && (pkg.type instanceof RegExp ? pkg.type.test(card.typeLine) : card.typeLine.includes(pkg.type));
+  if (typed || (pkg.enabler && pkg.enabler.test(text))) return 'enabler';
+  return null;
+}
+
+// Creature types the deck cares about: a card's text names the type (payoff)
+// and other cards share it (enablers)
+function tribalPackages(cards) {
+  const types = new Set(cards.flatMap(({ card }) => creatureSubtypes(card)));
+  const packages = {};
+  for (const type of types) {
+    const plural = type.endsWith('f') ? `${type.slice(0, -1)}ves` : `${type}s`;
+    packages[`tribal:${type}`] = {
+      label:   `${type} tribal`,
+      type,
+      enabler: null,
+      payoff:  new RegExp(`\\b(${type}|${plural})\\b`, 'i'),
+    };
+  }
+  return packages;
+}
+
+// Role counts (by copies) against the archetype's targets, the synergy
+// packages the deck has, and "orphans": nonland cards that are in no package
+// and do no interaction, card draw or ramp — the first candidates to replace.
+// Targets scale with the main deck size; orphans are only named once the
+// deck has a package to fit into.
+export function analyzeDeckRoles(parsed, pool, archetype) {
+  const entries = [...(parsed.commander || []), ...parsed.deck];
+  const cards = [];
+  const roles = Object.fromEntries(Object.keys(DECK_ROLES).map(role => [role, 0]));
+  const cardRoles = {};
+  let mainCount = 0;
+  for (const entry of entries) {
+    mainCount += entry.count;
+    const card = pool.cards[entry.name];
+    if (!card || isLandCard(card)) continue;
+    cardRoles[entry.name] = classifyRoles(card, entry.name);
+    for (const role of cardRoles[entry.name]) roles[role] += entry.count;
+    cards.push({ name: entry.name, count: entry.count, card, text: rulesText(entry.name, card) });
+  }
+
+  const packages = [];
+  for (const [key, pkg] of Object.entries({ ...SYNERGY_PACKAGES, ...tribalPackages(cards) })) {
+    const members = [];
+    let payoffs = 0;
+    for (const { name, count, card, text } of cards) {
+      // A creature type's members are the cards of that type
+      const kind = key.startsWith('tribal:')
+        ? (pkg.payoff.test(text) ? 'payoff' : creatureSubtypes(card).includes(pkg.type) ? 'enabler' : null)
+        : packageRole(pkg, card, text);
+      if (!kind) continue;
+      if (kind === 'payoff') payoffs++;
+      members.push({ name, count, kind });
+    }
+    if (payoffs > 0 && members.length >= MIN_PACKAGE_CARDS) {
+      packages.push({ key, label: pkg.label, cards: members, copies: members.reduce((sum, m) => sum + m.count, 0) });
+    }
+  }
+  packages.sort((a, b) => b.copies - a.copies);
+
+  const profile = ARCHETYPE_PROFILES[archetype] || ARCHETYPE_PROFILES.midrange;
+  const scale = mainCount / 60;
+  const targets = Object.entries(profile.roles || {}).map(([role, per60]) => {
+    const target = Math.max(1, Math.round(per60 * scale));
+    return { role, label: DECK_ROLES[role], count: roles[role], target, short: Math.max(0, target - roles[role]) };
+  });
+
+  const inPackage = new Set(packages.flatMap(p => p.cards.map(c => c.name)));
+  const supporting = ['removal', 'sweeper', 'counter', 'draw', 'ramp'];
+  const orphans = packages.length === 0 ? [] : cards
+    .filter(({ name }) => !inPackage.has(name) && !cardRoles[name].some(role => supporting.includes(role)))
+    .map(({ name }) => name);
+
+  return { roles, cardRoles, targets, packages, orphans };
+}
+
+// A refinement request that replaces the orphans and fills short roles
+export function buildRoleRefinementNote(analysis) {
+  const short = analysis.targets.filter(t => t.short > 0).map(t => `${t.label.toLowerCase()} (${t.count} of ${t.target})`);
+  const packages = analysis.packages.map(p => p.label).join(', ');
+  return [
+    analysis.orphans.length > 0 && `Replace these cards, which don't connect to any of the deck's packages (${packages}): ${analysis.orphans.join(', ')}.`,
+    short.length > 0 && `The deck is short on ${short.join(', ')}; prefer replacements that fill those roles${packages ? ' or join a package' : ''}.`,
+  ].filter(Boolean).join(' ');
+}
+
+// ============================================================
+// Meta Game Check
+// ============================================================
+// meta/<format>-meta.json: decks grouped by tier, best tier first. Only
+// name, colors and win rate are required; archetype, description and key
+// cards sharpen the matchup table and the commentary when present.
+const META_TIERS = ['S', 'A', 'B', 'C', 'D'];
+const META_TIER_WEIGHTS = { S: 5, A: 4, B: 3, C: 2, D: 1 };
+
+export const META_FILE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['format', 'lastUpdated', 'source', 'tiers'],
+  properties: {
+    format:      { type: 'string' },
+    lastUpdated: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    source:      { type: 'string' },
+    tiers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['tier', 'decks'],
+        properties: {
+          tier:  { type: 'string', enum: META_TIERS },
+          decks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'colors', 'winRate'],
+              properties: {
+                name:        { type: 'string' },
+                colors:      { type: 'array', items: { type: 'string', enum: WUBRG } },
+                winRate:     { type: 'string', pattern: '^\\d{1,3}(\\.\\d+)?%$' },
+                archetype:   { type: 'string' },
+                description: { type: 'string' },
+                keyCards:    { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Schema errors for a parsed meta file, prefixed with `source` (the file name)
+export function validateMetaData(meta, source = 'meta') {
+  return validateAgainstSchema(meta, META_FILE_SCHEMA, source);
+}
+
+// Interaction by kind, read from oracle text with reminder text removed.
+// A card can count as more than one kind (a removal spell with a counter mode).
+const INTERACTION_PATTERNS = {
+  removal: [
+    /(destroy|exile) target (creature|planeswalker|permanent|nonland permanent|artifact|enchantment|attacking|blocking|tapped)/,
+    /deals? (\d+|x|damage equal to [^.]*?)( damage)? to (any target|target (creature|planeswalker|attacking|blocking))/,
+    /target creature[^.]*gets -(\d+|x)\/-(\d+|x)/,
+    /(each opponent|target (player|opponent)) sacrifices/,
+    /fights? (target|another target|up to one target)/,
+    /return target (creature|nonland permanent) to its owner's hand/,
+  ],
+  counter: [/counter target/],
+  sweeper: [
+    /(destroy|exile) (all|each) (other )?(creatures|nonland permanents|permanents|artifacts|enchantments)/,
+    /deals? (\d+|x) damage to each (other )?(creature|non-?\w+ creature)/,
+    /(all|each) (other )?creatures? (get|gets) -(\d+|x)\/-(\d+|x)/,
+  ],
+};
+
+export function classifyInteraction(card) {
+  const text = (card?.oracleText || '').replace(/\([^)]*\)/g, '').toLowerCase();
+  return Object.keys(INTERACTION_PATTERNS).filter(kind => INTERACTION_PATTERNS[kind].some(p => p.test(text)));
+}
+
+// Interaction counts (by copies) among the main deck's nonland cards
+export function deckInteraction(parsed, pool) {
+  const result = { removal: 0, counter: 0, sweeper: 0, cards: 0, nonland: 0, density: 0 };
+  for (const entry of parsed.deck) {
+    const card = pool.cards[entry.name];
+    if (!card || isLandCard(card)) continue;
+    result.nonland += entry.count;
+    const kinds = classifyInteraction(card);
+    for (const kind of kinds) result[kind] += entry.count;
+    if (kinds.length > 0) result.cards += entry.count;
+  }
+  result.density = result.nonland ? result.cards / result.nonland : 0;
+  return result;
+}
+
+export function parseWinRate(winRate) {
+  return parseFloat(winRate) / 100;
+}
+
+// Key cards recorded for a meta deck from one of its lists
+export const META_KEY_CARDS = 8;
+
+// The main deck's most-played nonland cards, more expensive first on ties
+export function metaKeyCards(parsed, pool, count = META_KEY_CARDS) {
+  return parsed.deck
+    .filter(e => pool.cards[e.name] && !isLandCard(pool.cards[e.name]))
+    .sort((a, b) => b.count - a.count || pool.cards[b.name].cmc - pool.cards[a.name].cmc || a.name.localeCompare(b.name))
+    .slice(0, count)
+    .map(e => e.name);
+}
+
+// One row per meta deck: color overlap (shared / combined colors), key cards
+// this list plays, the interaction among the meta deck's key cards, and a
+// weight (tier × win rate, as a share of the whole meta) for how much the
+// matchup matters. `similarity` averages color and key-card overlap.
+export function analyzeMetaMatchups(parsed, pool, meta) {
+  const names  = new Set(parsed.deck.map(e => e.name.toLowerCase()));
+  const colors = new Set();
+  for (const entry of parsed.deck) {
+    const card = pool.cards[entry.name];
+    if (card && !isLandCard(card)) card.colorIdentity.forEach(c => colors.add(c));
+  }
+
+  const rows = [];
+  for (const tier of meta.tiers) {
+    for (const deck of tier.decks) {
+      const deckColors   = new Set(deck.colors);
+      const sharedColors = [...deckColors].filter(c => colors.has(c));
+      const union        = new Set([...colors, ...deckColors]).size;
+      const colorOverlap = union ? sharedColors.length / union : 0;
+
+      const keyCards   = deck.keyCards || [];
+      const sharedKeys = keyCards.filter(k => names.has(k.toLowerCase()));
+      const known      = keyCards.map(k => pool.cards[resolveCardName(pool, k)]).filter(Boolean);
+      let theirInteraction = null;
+      if (known.length > 0) {
+        theirInteraction = { removal: 0, counter: 0, sweeper: 0, known: known.length };
+        for (const card of known) classifyInteraction(card).forEach(kind => theirInteraction[kind]++);
+      }
+
+      rows.push({
+        tier:      tier.tier,
+        name:      deck.name,
+        colors:    deck.colors,
+        winRate:   parseWinRate(deck.winRate),
+        weight:    (META_TIER_WEIGHTS[tier.tier] || 1) * parseWinRate(deck.winRate),
+        sharedColors,
+        colorOverlap,
+        keyCards,
+        sharedKeys,
+        theirInteraction,
+        similarity: keyCards.length > 0 ? (colorOverlap + sharedKeys.length / keyCards.length) / 2 : colorOverlap,
+      });
+    }
+  }
+
+  const totalWeight = rows.reduce((sum, r) => sum + r.weight, 0);
+  for (const row of rows) row.weight = totalWeight ? row.weight / totalWeight : 0;
+  rows.sort((a, b) => b.weight - a.weight);
+
+  return {
+    colors:      [...colors],
+    interaction: deckInteraction(parsed, pool),
+    rows,
+    // Rows without key cards are compared on colors alone
+    listed:      rows.filter(r => r.keyCards.length > 0).length,
+    closest:     rows.reduce((best, r) => r.similarity > (best?.similarity ?? 0) ? r : best, null),
+    // Weighted share of the meta this list resembles; high means many mirrors
+    overlap:     rows.reduce((sum, r) => sum + r.weight * r.similarity, 0),
+  };
+}
+
+function percent(fraction) {
+  return `${Math.round(100 * fraction)}%`;
+}
+
+export function formatInteraction(counts) {
+  return `${counts.removal} removal · ${counts.counter} counter${counts.counter === 1 ? '' : 's'} · ${counts.sweeper} sweeper${counts.sweeper === 1 ? '' : 's'}`;
+}
+
+// Plain-text matchup table, shared by the meta check prompt and the CLI
+export function formatMatchupTable(report) {
+  const { interaction } = report;
+  const header = ['Tier', 'Meta deck', 'Colors', 'Win rate', 'Weight', 'Shared colors', 'Key cards played', 'Their key-card interaction', 'Similarity'];
+  const rows = report.rows.map(r => [
+    r.tier,
+    r.name,
+    r.colors.join('') || 'C',
+    `${(100 * r.winRate).toFixed(1)}%`,
+    percent(r.weight),
+    r.sharedColors.join('') || '—',
+    r.keyCards.length ? `${r.sharedKeys.length}/${r.keyCards.length}` : 'not listed',
+    r.theirInteraction ? formatInteraction(r.theirInteraction) : 'unknown',
+    percent(r.similarity),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join(' | ').trimEnd();
+
+  return [
+    `Deck colors: ${report.colors.join('') || 'colorless'}`,
+    `Deck interaction: ${formatInteraction(interaction)} — ${interaction.cards} of ${interaction.nonland} nonland cards (${percent(interaction.density)})`,
+    `Closest meta deck: ${report.closest ? `${report.closest.name} (${percent(report.closest.similarity)} similar)` : 'none'} · weighted meta overlap ${percent(report.overlap)}`,
+    ...(report.listed < report.rows.length
+      ? [`Key cards listed for ${report.listed} of ${report.rows.length} meta decks; the others are compared on colors only and their interaction is unknown`]
+      : []),
+    '',
+    line(header),
+    widths.map(w => '-'.repeat(w)).join('-|-'),
+    ...rows.map(line),
+  ].join('\n');
+}
+
+export function buildMetaContextText(meta) {
+  const lines = [`Current ${meta.format} Metagame (as of ${meta.lastUpdated}, source: ${meta.source}):`];
+  for (const tierGroup of meta.tiers) {
+    if (!tierGroup.decks || tierGroup.decks.length === 0) continue;
+    lines.push(`\n[${tierGroup.tier}-Tier]`);
+    for (const deck of tierGroup.decks) lines.push(`- ${metaDeckLine(deck)}`);
+  }
+  return lines.join('\n');
+}
+
+function metaDeckLine(deck) {
+  const details = [deck.colors.join('/') || 'colorless', deck.archetype, `${deck.winRate} win rate`].filter(Boolean).join(', ');
+  const description = deck.description ? `: ${deck.description}` : '';
+  const keyCards = deck.keyCards && deck.keyCards.length > 0
+    ? ` Key cards: ${deck.keyCards.join(', ')}.`
+    : '';
+  return `${deck.name} (${details})${description}${keyCards}`;
+}
+
+export function buildMetaCheckPrompt(meta, deckText, report) {
+  return `${buildMetaContextText(meta)}
+
+Here is my current deck:
+${deckText}
+
+Matchup table, computed from the card data (treat these numbers as facts; "Weight" is the matchup's share of the meta by tier and win rate):
+${formatMatchupTable(report)}
+
+Please analyze, basing every claim on the table and citing the rows you use:
+1. Where does this deck fit in the current meta? Is it well-positioned, fringe, or likely to struggle?
+2. Which of the highest-weight decks pose the biggest threats, and how does my interaction line up against them?
+3. What 2-3 specific adjustments (card swaps or sideboard additions) would most improve my meta positioning?
+
+Where a meta deck's key cards are not listed, say its card-level matchup is unknown rather than guessing its list. Answer concisely without re-outputting the full deck list.`;
+}
+
+// ============================================================
+// Limited — sealed and draft pools
+// ============================================================
+// A pasted sealed pool or set of draft picks becomes the card list: each
+// card up to the copies opened, plus any number of basic lands. Decks are
+// 40 cards or more, and whatever isn't played is the sideboard.
+export const LIMITED_RULES = { mainDeckSize: 40, limited: true };
+export const COLOR_PAIRS = ['WU', 'WB', 'WR', 'WG', 'UB', 'UR', 'UG', 'BR', 'BG', 'RG'];
+
+export const COLOR_PAIRS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['pairs'],
+  properties: {
+    pairs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['colors', 'reason', 'keyCards'],
+        properties: {
+          colors:   { type: 'string', pattern: '^[WUBRG]{2}$', description: 'Two color letters, e.g. BG' },
+          reason:   { type: 'string', description: 'Two or three sentences on depth, removal, curve and bombs in these colors' },
+          keyCards: { type: 'array', items: { type: 'string', pattern: '^C\\d+$' }, description: 'IDs of the cards that make the pair' },
+        },
+      },
+    },
+  },
+};
+export const COLOR_PAIRS_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'color_pairs', strict: true, schema: COLOR_PAIRS_SCHEMA },
+};
+
+// Copies opened per card name, basics left out since they're unlimited,
+// plus the lines that couldn't be resolved. Every Arena export section
+// counts: sealed exports list the whole pool as the sideboard.
+export function parseLimitedPool(text, pool) {
+  const { parsed, problems } = parseArenaImport(text, pool);
+  const counts = {};
+  for (const entry of [...parsed.deck, ...parsed.sideboard, ...parsed.commander, ...parsed.companion]) {
+    const card = pool.cards[entry.name];
+    if (!card || card.typeLine.includes('Basic Land')) continue;
+    counts[entry.name] = (counts[entry.name] || 0) + entry.count;
+  }
+  return { counts, problems };
+}
+
+// Pool cards plus the basic lands, which every Limited deck may add
+export function limitedCardNames(pool, counts) {
+  const basics = Object.keys(BASIC_LAND_TYPES).filter(name => pool.cards[name]);
+  return [...Object.keys(counts), ...basics];
+}
+
+// buildCardList() line note with the copies available
+export function limitedLineNote(counts) {
+  return (name) => counts[name] ? ` | ${counts[name]} in pool` : ' | basic, any number';
+}
+
+// Playables, creatures, removal and rares per two-color pair (by copies),
+// deepest first. Colorless cards fit every pair, so they're left out.
+export function analyzeColorPairs(pool, counts) {
+  return COLOR_PAIRS.map(colors => {
+    const row = { colors, playables: 0, creatures: 0, removal: 0, rares: 0 };
+    for (const [name, count] of Object.entries(counts)) {
+      const card = pool.cards[name];
+      if (!card || isLandCard(card) || card.colorIdentity.length === 0 || !fitsColors(card, colors.split(''))) continue;
+      row.playables += count;
+      if (card.typeLine.includes('Creature')) row.creatures += count;
+      if (classifyInteraction(card).length > 0) row.removal += count;
+      if (card.rarity === 'rare' || card.rarity === 'mythic') row.rares += count;
+    }
+    return row;
+  }).sort((a, b) => b.playables - a.playables || b.removal - a.removal);
+}
+
+export function formatColorPairTable(rows) {
+  return [
+    'Pair | Playables | Creatures | Removal | Rares',
+    ...rows.map(r => `${r.colors} | ${r.playables} | ${r.creatures} | ${r.removal} | ${r.rares}`),
+  ].join('\n');
+}
+
+export function buildLimitedSystemPrompt() {
+  return `You are an expert Magic: The Gathering Limited player building MTG Arena sealed and draft decks.
+
+IMPORTANT RULES:
+1. You MUST ONLY use cards from the provided pool. Do NOT invent or hallucinate card names.
+2. Never play more copies of a card than the pool has ("N in pool"). Basic lands can be added in any number.
+3. The main deck has at least ${LIMITED_RULES.mainDeckSize} cards; ${LIMITED_RULES.mainDeckSize} with about 17 lands is almost always right.
+4. Cards left out of the main deck are the sideboard automatically, so leave "sideboard" empty.
+
+Cards are identified by short IDs (e.g., C42). Answer with a single JSON object in the requested format.`;
+}
+
+// The first Limited turn: which two colors the pool supports best, grounded
+// in the local pair counts
+export function buildColorPairPrompt({ cardListText, pairRows }) {
+  return `Here is my MTG Arena Limited pool:
+${cardListText}
+
+Playables per color pair, counted from the pool (copies; colorless cards not included):
+${formatColorPairTable(pairRows)}
+
+Which two color pairs should I build? Weigh bombs, removal, creature count and curve, not just depth, and use the counts above rather than recounting.
+
+Reply with a JSON object: "pairs" has exactly two entries, best first — {"colors": two letters from WUBRG, "reason": two or three sentences, "keyCards": the IDs of the cards that make the pair}.`;
+}
+
+// { pairs } with key-card IDs resolved, or { pairs: null, schemaErrors }
+export function parseColorPairs(text, idMap) {
+  const json = extractJsonObject(text);
+  if (!json) return { pairs: null, schemaErrors: ['The reply is not a JSON list of color pairs'] };
+  const schemaErrors = validateAgainstSchema(json, COLOR_PAIRS_SCHEMA);
+  if (schemaErrors.length > 0) return { pairs: null, schemaErrors };
+  return {
+    pairs: json.pairs.slice(0, 2).map(p => ({
+      colors:   p.colors,
+      reason:   p.reason.trim(),
+      keyCards: p.keyCards.map(id => idMap[id]).filter(Boolean),
+    })),
+  };
+}
+
+// Unplayed pool cards become the sideboard, as in an Arena Limited export
+export function limitedSideboard(parsed, counts) {
+  if (!parsed.deck) return parsed;
+  const left = { ...counts };
+  for (const entry of parsed.deck) {
+    if (left[entry.name]) left[entry.name] = Math.max(0, left[entry.name] - entry.count);
+  }
+  const sideboard = Object.entries(left).filter(([, count]) => count > 0).map(([name, count]) => ({ count, name }));
+  return { ...parsed, sideboard: sideboard.length > 0 ? sideboard : null };
+}
+
+// ============================================================
+// Sideboard guide
+// ============================================================
+// One IN / OUT plan per meta deck, on the play and on the draw. The model
+// answers for a dozen meta decks at a time: few enough that each reply stays
+// inside the completion limit, many enough that a full meta fits the proxy's
+// per-session request limit with room for repairs.
+export const SIDEBOARD_GUIDE_BATCH = 12;
+
+const GUIDE_SWAP_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['id', 'count'],
+    properties: {
+      id:    { type: 'string', pattern: '^C\\d+$' },
+      count: { type: 'integer', minimum: 1 },
+    },
+  },
+};
+const GUIDE_PLAN_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['in', 'out'],
+  properties: { in: GUIDE_SWAP_SCHEMA, out: GUIDE_SWAP_SCHEMA },
+};
+export const SIDEBOARD_GUIDE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['matchups'],
+  properties: {
+    matchups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['deck', 'play', 'draw', 'note'],
+        properties: {
+          deck: { type: 'string', description: 'Meta deck name exactly as listed' },
+          play: GUIDE_PLAN_SCHEMA,
+          draw: GUIDE_PLAN_SCHEMA,
+          note: { type: 'string', description: 'One or two sentences on the plan and how play and draw differ' },
+        },
+      },
+    },
+  },
+};
+export const SIDEBOARD_GUIDE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'sideboard_guide', strict: true, schema: SIDEBOARD_GUIDE_SCHEMA },
+};
+
+// Meta decks in tier order, each with its tier
+export function listMetaDecks(meta) {
+  return meta.tiers.flatMap(t => t.decks.map(deck => ({ ...deck, tier: t.tier })));
+}
+
+export function buildSideboardGuidePrompt({ cardListText, deckText, metaDecks, rules = DECK_RULES }) {
+  return `These are the cards in my Best-of-3 deck:
+${cardListText}
+
+My deck (card IDs):
+${deckText}
+
+Write a sideboard guide against each of these meta decks, with one plan on the play and one on the draw:
+${metaDecks.map(d => `- ${metaDeckLine(d)}`).join('\n')}
+
+Rules for every plan:
+- "in" lists only Sideboard cards and "out" only main Deck cards, by ID, never more copies than my list has.
+- The "in" and "out" counts add up to the same total, so the main deck stays at ${rules.mainDeckSize} cards. Empty lists are fine when the main deck is already right for the matchup.
+
+Reply with a JSON object: "matchups" has one entry per meta deck above — {"deck": name exactly as listed, "play": {"in": [{"id", "count"}], "out": [...]}, "draw": {...}, "note"}.`;
+}
+
+// { matchups } with IDs resolved to names, or { matchups: null, schemaErrors }
+export function parseSideboardGuide(text, idMap) {
+  const json = extractJsonObject(text);
+  if (!json) return { matchups: null, schemaErrors: ['The reply is not a JSON sideboard guide'] };
+  const schemaErrors = validateAgainstSchema(json, SIDEBOARD_GUIDE_SCHEMA);
+  if (schemaErrors.length > 0) return { matchups: null, schemaErrors };
+  const idErrors = json.matchups.flatMap((m, i) => ['play', 'draw'].flatMap(side => ['in', 'out'].flatMap(dir =>
+    unknownIdErrors(m[side][dir].map(s => s.id), idMap, `response.matchups[${i}].${side}.${dir}`))));
+  if (idErrors.length > 0) return { matchups: null, schemaErrors: idErrors };
+
+  const swaps = (list) => list.map(s => ({ count: s.count, name: idMap[s.id] }));
+  return {
+    matchups: json.matchups.map(m => ({
+      deck: m.deck,
+      play: { in: swaps(m.play.in), out: swaps(m.play.out) },
+      draw: { in: swaps(m.draw.in), out: swaps(m.draw.out) },
+      note: m.note.trim(),
+    })),
+  };
+}
+
+function sumSwaps(list) {
+  return list.reduce((n, s) => n + s.count, 0);
+}
+
+// Copies per card name, merging repeated entries
+function swapCounts(list) {
+  const counts = {};
+  for (const s of list) counts[s.name] = (counts[s.name] || 0) + s.count;
+  return counts;
+}
+
+// Problems with a plan against the deck it was written for
+function checkSideboardPlan(plan, parsed) {
+  const problems = [];
+  for (const [key, section, label] of [['in', parsed.sideboard || [], 'sideboard'], ['out', parsed.deck, 'main deck']]) {
+    for (const [name, count] of Object.entries(swapCounts(plan[key]))) {
+      const have = section.find(e => e.name === name)?.count || 0;
+      if (have === 0) problems.push({ card: name, message: `brings ${key} ${name}, which isn't in the ${label}` });
+      else if (count > have) problems.push({ card: name, message: `brings ${key} ${count} ${name} but the ${label} has ${have}` });
+    }
+  }
+  const ins = sumSwaps(plan.in), outs = sumSwaps(plan.out);
+  if (ins !== outs) problems.push({ message: `brings in ${ins} card${ins === 1 ? '' : 's'} but takes out ${outs}` });
+  return problems;
+}
+
+// Every rule the guide breaks, as { deck, card?, message }
+export function checkSideboardGuide(matchups, parsed, deckNames) {
+  const problems = [];
+  const seen = new Set();
+  for (const m of matchups) {
+    if (!deckNames.includes(m.deck)) {
+      problems.push({ deck: m.deck, message: `"${m.deck}" is not one of the listed meta decks` });
+      continue;
+    }
+    seen.add(m.deck);
+    for (const side of ['play', 'draw']) {
+      for (const p of checkSideboardPlan(m[side], parsed)) {
+        problems.push({ ...p, deck: m.deck, message: `${m.deck}, on the ${side}: ${p.message}` });
+      }
+    }
+  }
+  for (const name of deckNames) {
+    if (!seen.has(name)) problems.push({ deck: name, message: `${name} has no plan` });
+  }
+  return problems;
+}
+
+export function buildSideboardGuideRepairPrompt(problems, nameToId) {
+  const lines = problems.map(p => `- ${p.message}${p.card && nameToId[p.card] ? ` [${nameToId[p.card]}]` : ''}`);
+  return `Your sideboard guide breaks these rules:
+${lines.join('\n')}
+
+Output the complete corrected guide for every listed meta deck in the same JSON format, using only cards from my main deck and sideboard.`;
+}
+
+// Clamps a plan to the copies the deck really has and trims the longer side
+// until IN and OUT balance. Used on whatever is still wrong after repairs.
+export function balanceSideboardPlan(plan, parsed) {
+  const clamp = (list, section) => Object.entries(swapCounts(list))
+    .map(([name, count]) => ({ count: Math.min(count, section.find(e => e.name === name)?.count || 0), name }))
+    .filter(s => s.count > 0);
+  const next = { in: clamp(plan.in, parsed.sideboard || []), out: clamp(plan.out, parsed.deck) };
+
+  let excess = sumSwaps(next.in) - sumSwaps(next.out);
+  const longer = excess > 0 ? next.in : next.out;
+  excess = Math.abs(excess);
+  for (let i = longer.length - 1; i >= 0 && excess > 0; i--) {
+    const cut = Math.min(longer[i].count, excess);
+    longer[i].count -= cut;
+    excess -= cut;
+  }
+  next.in  = next.in.filter(s => s.count > 0);
+  next.out = next.out.filter(s => s.count > 0);
+
+  const same = (a, b) => JSON.stringify(swapCounts(a)) === JSON.stringify(swapCounts(b));
+  return { plan: next, adjusted: !same(next.in, plan.in) || !same(next.out, plan.out) };
+}
+
+// Requests needed for `deckCount` meta decks: at least one per batch
+export function sideboardGuideRequests(deckCount) {
+  const batches = Math.ceil(deckCount / SIDEBOARD_GUIDE_BATCH);
+  return { min: batches, max: batches * (1 + MAX_REPAIR_ATTEMPTS) };
+}
+
+// Builds the guide batch by batch, repairing each reply like a deck and
+// balancing any plan the repairs didn't fix. Matchups come back in the
+// order of `metaDecks`; a deck the model skipped gets empty plans and
+// `missing: true`.
+//
+// Resolves to { matchups, error }. Repair turns are only spent while
+// `maxRequests` still leaves one request for every batch to come. A failed
+// request keeps the batches already finished and returns them with the
+// error; it only throws when there is nothing to keep or on cancel.
+export async function requestSideboardGuide(parsed, metaDecks, { complete, system, cardListText, idMap, nameToId, rules = DECK_RULES, maxRequests = Infinity, onBatch, ...options }) {
+  const deckText = formatDeckForPrompt(parsed, nameToId);
+  const matchups = [];
+  const batchCount = Math.ceil(metaDecks.length / SIDEBOARD_GUIDE_BATCH);
+  let requests = 0;
+  const send = (conversation) => {
+    requests++;
+    return complete(conversation, { ...options, responseFormat: SIDEBOARD_GUIDE_FORMAT });
+  };
+
+  for (let start = 0; start < metaDecks.length; start += SIDEBOARD_GUIDE_BATCH) {
+    const batch = metaDecks.slice(start, start + SIDEBOARD_GUIDE_BATCH);
+    const names = batch.map(d => d.name);
+    const batchesLeft = batchCount - start / SIDEBOARD_GUIDE_BATCH - 1;
+    let conversation = [
+      { role: 'system', content: system },
+      { role: 'user',   content: buildSideboardGuidePrompt({ cardListText, deckText, metaDecks: batch, rules }) },
+    ];
+    let reply, result;
+    try {
+      if (requests >= maxRequests) throw new Error('Request budget used up');
+      reply  = await send(conversation);
+      result = parseSideboardGuide(reply, idMap);
+
+      for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS && requests + batchesLeft < maxRequests; attempt++) {
+        const problems = result.matchups
+          ? checkSideboardGuide(result.matchups, parsed, names)
+          : result.schemaErrors.map(message => ({ message }));
+        if (problems.length === 0) break;
+        conversation = [
+          ...conversation,
+          { role: 'assistant', content: reply },
+          { role: 'user',      content: buildSideboardGuideRepairPrompt(problems, nameToId) },
+        ];
+        const repairedReply = await send(conversation);
+        const repaired = parseSideboardGuide(repairedReply, idMap);
+        if (!repaired.matchups && result.matchups) break;
+        reply  = repairedReply;
+        result = repaired;
+      }
+    } catch (err) {
+      if (err.name === 'AbortError' || matchups.length === 0) throw err;
+      return { matchups, error: err };
+    }
+
+    for (const deck of batch) {
+      const entry = result.matchups?.find(m => m.deck === deck.name);
+      const play  = balanceSideboardPlan(entry?.play || { in: [], out: [] }, parsed);
+      const draw  = balanceSideboardPlan(entry?.draw || { in: [], out: [] }, parsed);
+      matchups.push({
+        deck:     deck.name,
+        tier:     deck.tier,
+        colors:   deck.colors,
+        play:     play.plan,
+        draw:     draw.plan,
+        note:     entry?.note || '',
+        adjusted: play.adjusted || draw.adjusted,
+        ...(!entry && { missing: true }),
+      });
+    }
+    onBatch?.(matchups.length, metaDecks.length);
+  }
+  return { matchups, error: null };
+}
+
+export function formatSideboardSwaps(list) {
+  return list.length ? list.map(s => `${s.count} ${s.name}`).join(', ') : '—';
+}
+
+// Plain-text guide for export
+export function formatSideboardGuideText(guide, title = 'Sideboard Guide') {
+  const lines = [title, `${guide.meta.format} meta of ${guide.meta.lastUpdated} (${guide.meta.source})`];
+  for (const m of guide.matchups) {
+    lines.push('', `vs ${m.deck} (${m.tier}-Tier, ${m.colors.join('') || 'C'})`);
+    for (const [side, label] of [['play', 'On the play'], ['draw', 'On the draw']]) {
+      lines.push(`  ${label}`, `    IN:  ${formatSideboardSwaps(m[side].in)}`, `    OUT: ${formatSideboardSwaps(m[side].out)}`);
+    }
+    if (m.note) lines.push(`  ${m.note}`);
+  }
+  return lines.join('\n');
+}
+
+// ============================================================
+// Chat endpoint
+// ============================================================
+// The proxy's message, size and per-session rate limits, for clients that
+// budget their own requests
+export { MAX_MESSAGES, MAX_MESSAGE_CHARS, SESSION_REQUEST_LIMIT } from './chat-limits.mjs';
+
+export function messageChars(messages) {
+  return messages.reduce((n, m) => n + m.content.length, 0);
+}
+
+// Resolves to the assistant's full reply from an OpenAI-style chat endpoint
+// (the /api/chat proxy or a provider directly). When `onDelta` is given the
+// reply is streamed and `onDelta` receives the text so far. Failures throw
+// an Error carrying the proxy's error `code` and `retryAfter`.
+export async function requestChatCompletion(url, messages, { headers = {}, model, temperature = 0.7, responseFormat = null, onDelta = null, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_completion_tokens: 4000,
+      ...(responseFormat && { response_format: responseFormat }),
+      ...(onDelta && { stream: true }),
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    const error = new Error(errData.error?.message || `API error: ${response.status}`);
+    error.code       = errData.error?.code;
+    error.retryAfter = errData.error?.retryAfter;
+    throw error;
+  }
+
+  if (!onDelta) {
+    const data = await response.json();
+    return data.choices[0].message.content;
+  }
+  return readEventStream(response, onDelta);
+}
+
+async function readEventStream(response, onDelta) {
+  const reader  = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text   = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return text;
+
+      const event = JSON.parse(data);
+      if (event.error) throw new Error(event.error.message || 'Stream error');
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta(text);
+      }
+    }
+  }
+  return text;
+}
+
+// One generation plus the validation repair loop, with no UI of its own.
+// `complete(conversation, options)` resolves to a reply; `validate` and
+// `repairPrompt` are validateDeck() and buildRepairPrompt() bound to the
+// caller's pool and ID map. A reply that fails the schema (parsed.schemaErrors)
+// is sent back with buildSchemaRepairPrompt() instead. `maxRepairs` lowers the
+// number of repair turns, e.g. to stay within a request budget. Resolves to
+// { parsed, report, reply }; parsed.deck is null when no deck could be read
+// from the reply.
+export async function requestValidatedDeck(messages, { complete, parse, validate, repairPrompt, repair, maxRepairs = MAX_REPAIR_ATTEMPTS, onRepair, ...options }) {
+  let conversation = messages;
+  let reply  = await complete(conversation, options);
+  let parsed = parse(reply);
+  let report = parsed.deck ? validate(parsed) : null;
+
+  for (let attempt = 1; repair && (report ? !report.valid : parsed.schemaErrors) && attempt <= maxRepairs; attempt++) {
+    onRepair?.(attempt);
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: reply },
+      { role: 'user',      content: report ? repairPrompt(report) : buildSchemaRepairPrompt(parsed.schemaErrors) },
+    ];
+    const repairedReply = await complete(conversation, options);
+    const repaired = parse(repairedReply);
+    if (!repaired.deck && parsed.deck) break;
+
+    // Keep the original strategy write-up if the repair turn omitted one
+    if (repaired.deck && !repaired.explanation) repaired.explanation = parsed.explanation;
+    reply  = repairedReply;
+    parsed = repaired;
+    report = parsed.deck ? validate(parsed) : null;
+    if (report) report.repairAttempts = attempt;
+  }
+  return { parsed, report, reply };
+}
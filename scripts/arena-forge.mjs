@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+// ============================================================
+// MTG Arena Deck Builder — Command Line
+// ============================================================
+// Builds and checks decks from a terminal with the same core as the web app
+// (lib/deck-core.mjs). Needs Node 18+ for fetch and util.parseArgs.
+//
+//   node scripts/arena-forge.mjs build --format standard --colors UB --archetype control --bo3 --out deck.txt
+//   node scripts/arena-forge.mjs build --format brawl --commander "Atraxa, Grand Unifier"
+//   node scripts/arena-forge.mjs build --colors BG --color-mode exact --pool sealed.txt
+//   node scripts/arena-forge.mjs stats deck.txt
+//   node scripts/arena-forge.mjs validate deck.txt --bo3
+//   node scripts/arena-forge.mjs meta-check deck.txt
+//   node scripts/arena-forge.mjs meta-keys stompy.txt --meta-deck "Mono-Green Stompy" --meta-type Aggro
+//
+// Deck files are MTG Arena export text. Card pools come from R2 unless
+// --cards points at a local cards-<format>.json (scripts/build_cards.py
+// writes them to data/). Model calls go to --endpoint, which defaults to
+// $ARENA_FORGE_ENDPOINT or the local `wrangler pages dev` proxy.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  R2_BASE, FORMAT_CONFIG, COLOR_MODES, DECK_RESPONSE_FORMAT, DEFAULT_PROMPT_BUDGET, CURVE_BUCKETS,
+  LIMITED_RULES, deckRules, isCommanderCandidate, commanderColors, withCommander, resolveCardName, buildSystemPrompt, buildDeckPrompt, buildMetaCheckPrompt, indexCardPool, filterCardPool, deckColorIdentity,
+  selectPromptShortlist, buildCardList, parseDeckResponse, parseArenaImport, importedDeck, validateDeck,
+  buildRepairPrompt, formatDeckText, computeDeckStats, analyzeManaBase, analyzeDeckRoles, DECK_ROLES, requestChatCompletion, requestValidatedDeck,
+  MAX_MESSAGE_CHARS, messageChars,
+  validateMetaData, analyzeMetaMatchups, formatMatchupTable, metaKeyCards,
+  parseLimitedPool, limitedLineNote, limitedSideboard, buildLimitedSystemPrompt,
+} from '../lib/deck-core.mjs';
+
+const DEFAULT_ENDPOINT = 'http://localhost:8788/api/chat';
+const DEFAULT_MODEL    = 'gpt-5.4';
+
+const USAGE = `Usage: arena-forge <command> [deck file] [options]
+
+Commands:
+  build        generate a deck with the model
+  stats        card counts, mana curve, mana base, roles and synergy packages of a deck file
+  validate     legality report for a deck file (exit code 1 when not legal)
+  meta-check   matchup table against the meta snapshot, then the model's read on it
+  meta-keys    record a meta deck's key cards from one of its lists in the meta snapshot
+
+Options:
+  --format <slug>        ${Object.keys(FORMAT_CONFIG).join(', ')} (default standard)
+  --cards <file>         local card pool JSON instead of downloading it
+  --colors <WUBRGC>      deck colors; required for build, read from the deck otherwise
+  --color-mode <mode>    subset (at most these colors), exact or splash (default subset)
+  --splash <WUBRG>       splash colors for --color-mode splash
+  --commander <name>     Brawl formats: the commander to build around (its colors replace --colors)
+  --pool <file>          sealed pool or draft picks (Arena export text): build or check a 40+ card Limited deck from it
+  --archetype <name>     aggro, midrange, control, combo, tempo, ramp, tribal (default midrange)
+  --bo3                  Best of 3: build a sideboard and check its size
+  --instructions <text>  extra instructions for the model
+  --budget <tokens>      card-list budget for the prompt; 0 sends the whole pool (default ${DEFAULT_PROMPT_BUDGET})
+  --endpoint <url>       chat endpoint (default $ARENA_FORGE_ENDPOINT or ${DEFAULT_ENDPOINT})
+  --api-key <key>        bearer token for endpoints that need one (default $ARENA_FORGE_API_KEY)
+  --model <id>           model id (default ${DEFAULT_MODEL})
+  --meta <file>          meta snapshot (default meta/<format>-meta.json)
+  --out <file>           write the built deck here instead of stdout
+  --table-only           meta-check: print the matchup table without asking the model
+  --meta-deck <name>     meta-keys: the meta deck the list belongs to
+  --meta-type <text>     meta-keys: also record the deck's archetype (e.g. Aggro)
+  --description <text>   meta-keys: also record a one-line description`;
+
+const OPTIONS = {
+  format:       { type: 'string', default: 'standard' },
+  cards:        { type: 'string' },
+  colors:       { type: 'string' },
+  'color-mode': { type: 'string', default: 'subset' },
+  splash:       { type: 'string', default: '' },
+  commander:    { type: 'string' },
+  pool:         { type: 'string' },
+  archetype:    { type: 'string', default: 'midrange' },
+  bo3:          { type: 'boolean', default: false },
+  instructions: { type: 'string', default: '' },
+  budget:       { type: 'string' },
+  endpoint:     { type: 'string', default: process.env.ARENA_FORGE_ENDPOINT || DEFAULT_ENDPOINT },
+  'api-key':    { type: 'string', default: process.env.ARENA_FORGE_API_KEY || '' },
+  model:        { type: 'string', default: DEFAULT_MODEL },
+  meta:         { type: 'string' },
+  out:          { type: 'string' },
+  'table-only': { type: 'boolean', default: false },
+  'meta-deck':  { type: 'string' },
+  'meta-type':  { type: 'string' },
+  description:  { type: 'string' },
+  help:         { type: 'boolean', short: 'h', default: false },
+};
+
+const COMMANDS = { build, stats, validate, 'meta-check': metaCheck, 'meta-keys': metaKeys };
+
+class UsageError extends Error {}
+
+async function main() {
+  const { values: opts, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, deckFile] = positionals;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  if (!FORMAT_CONFIG[opts.format]) throw new UsageError(`Unknown format "${opts.format}"`);
+  if (!COLOR_MODES[opts['color-mode']]) throw new UsageError(`Unknown color mode "${opts['color-mode']}" (use ${Object.keys(COLOR_MODES).join(', ')})`);
+  if (command !== 'build' && !deckFile) throw new UsageError(`${command} needs a deck file`);
+  return COMMANDS[command](opts, deckFile);
+}
+
+// ============================================================
+// Inputs
+// ============================================================
+async function loadPool(opts) {
+  let cards;
+  if (opts.cards) {
+    cards = JSON.parse(await readFile(opts.cards, 'utf8'));
+  } else {
+    const response = await fetch(`${R2_BASE}/cards-${opts.format}.json`);
+    if (!response.ok) throw new Error(`Couldn't download the ${FORMAT_CONFIG[opts.format].displayName} card pool (HTTP ${response.status})`);
+    cards = await response.json();
+  }
+  return indexCardPool(opts.format, cards);
+}
+
+// Unresolved lines are reported on stderr and kept by name, so the
+// legality report still flags them
+async function loadDeck(file, pool) {
+  const { parsed, problems } = parseArenaImport(await readFile(file, 'utf8'), pool);
+  for (const p of problems) console.error(`${file}:${p.line}: ${p.message}`);
+  if (parsed.deck.length === 0) throw new Error(`${file} has no main deck cards`);
+  return importedDeck(parsed);
+}
+
+function loadCommander(pool, rawName) {
+  const name = resolveCardName(pool, rawName);
+  if (!name) throw new UsageError(`"${rawName}" is not in the ${FORMAT_CONFIG[pool.format].displayName} card pool`);
+  if (!isCommanderCandidate(pool.cards[name])) throw new UsageError(`${name} can't be a commander (it must be a legendary creature or planeswalker)`);
+  return name;
+}
+
+// Copies per card in a sealed pool or draft picks; --format picks the card data
+async function loadLimitedPool(file, pool) {
+  if (deckRules(pool.format).singleton) throw new UsageError('--pool needs a constructed --format for its card data');
+  const { counts, problems } = parseLimitedPool(await readFile(file, 'utf8'), pool);
+  const { displayName } = FORMAT_CONFIG[pool.format];
+  for (const p of problems) {
+    const hint = p.kind === 'unresolved' ? ' (a typo, or a set outside the card data; try a wider --format such as historic)' : '';
+    console.error(`${file}:${p.line}: ${p.message}${hint}`);
+  }
+  if (Object.keys(counts).length === 0) throw new Error(`${file} has no cards from the ${displayName} card data; pick the --format whose card data covers the pool's set`);
+  console.error(`Read ${file} with the ${displayName} card data`);
+  return counts;
+}
+
+function parseColors(value) {
+  const colors = new Set(value.toUpperCase().split(''));
+  const unknown = [...colors].filter(c => !'WUBRGC'.includes(c));
+  if (unknown.length > 0) throw new UsageError(`Unknown color${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (use W, U, B, R, G, C)`);
+  return colors;
+}
+
+// --color-mode and --splash as validateDeck()/buildDeckPrompt() options
+function colorRequest(opts, colors) {
+  const colorMode = opts['color-mode'];
+  const splash = colorMode === 'splash' ? [...parseColors(opts.splash)].filter(c => c !== 'C' && !colors.has(c)) : [];
+  if (colorMode === 'splash' && splash.length === 0) throw new UsageError('--color-mode splash needs --splash (e.g. --splash R)');
+  return { colors, colorMode, splash };
+}
+
+function chatClient(opts) {
+  const endpoint = new URL(opts.endpoint);
+  // The proxy only answers its own origin, which is what a browser would send
+  const headers = {
+    Origin: endpoint.origin,
+    ...(opts['api-key'] && { Authorization: `Bearer ${opts['api-key']}` }),
+  };
+  return (messages, options = {}) => requestChatCompletion(endpoint.href, messages, { ...options, headers, model: opts.model });
+}
+
+// ============================================================
+// Commands
+// ============================================================
+async function build(opts) {
+  const rules = opts.pool ? LIMITED_RULES : deckRules(opts.format);
+  if (rules.singleton && !opts.commander) throw new UsageError(`${FORMAT_CONFIG[opts.format].displayName} needs --commander`);
+  if (!rules.singleton && !opts.colors) throw new UsageError('build needs --colors (e.g. --colors UB)');
+  const budget = opts.budget === undefined ? DEFAULT_PROMPT_BUDGET : parseInt(opts.budget, 10);
+  if (!Number.isFinite(budget) || budget < 0) throw new UsageError('--budget must be a number of tokens');
+
+  const pool = await loadPool(opts);
+  const cfg  = FORMAT_CONFIG[opts.format];
+  const limited = opts.pool ? await loadLimitedPool(opts.pool, pool) : null;
+  const commander = rules.singleton ? loadCommander(pool, opts.commander) : null;
+  const colors = commander ? commanderColors(pool.cards[commander]) : parseColors(opts.colors);
+  const request = commander ? { colors, colorMode: 'subset', splash: [] } : colorRequest(opts, colors);
+  const filteredNames = filterCardPool(pool, {
+    colors,
+    splash: request.splash,
+    allow:  limited && ((name, card) => card.typeLine.includes('Basic Land') || limited[name] > 0),
+  });
+  const shortlist = selectPromptShortlist(pool, filteredNames, {
+    archetype:    opts.archetype,
+    instructions: opts.instructions,
+    budget,
+    colors,
+    pinned:       commander ? [commander] : [],
+  });
+  const list = buildCardList(pool, shortlist.names, limited && limitedLineNote(limited));
+  console.error(`Sending ${shortlist.names.length} of ${filteredNames.length} cards (~${shortlist.tokens} tokens) to ${opts.model}...`);
+
+  const messages = [
+    { role: 'system', content: limited ? buildLimitedSystemPrompt() : buildSystemPrompt(cfg.displayName, rules) },
+    {
+      role: 'user',
+      content: buildDeckPrompt({
+        formatName:   limited ? 'Limited' : cfg.displayName,
+        archetype:    opts.archetype,
+        ...request,
+        bo3:          opts.bo3 && !rules.singleton && !limited,
+        cardListText: list.text,
+        trimmed:      shortlist.trimmed,
+        instructions: opts.instructions,
+        commander:    commander && list.nameToId[commander],
+        rules,
+      }),
+    },
+  ];
+  const chars = messageChars(messages);
+  if (chars > MAX_MESSAGE_CHARS) {
+    console.error(`Warning: the prompt is ${chars} characters; the /api/chat proxy accepts ${MAX_MESSAGE_CHARS}. Lower --budget if the endpoint is the proxy.`);
+  }
+  const { parsed, report, reply } = await requestValidatedDeck(messages, {
+    complete:       chatClient(opts),
+    parse:          (text) => limited
+      ? limitedSideboard(parseDeckResponse(text, list.idMap), limited)
+      : withCommander(parseDeckResponse(text, list.idMap), commander),
+    validate:       (deck) => validateDeck(deck, { pool, ...request, bo3: opts.bo3, limited }),
+    repairPrompt:   (result) => buildRepairPrompt(result, list.nameToId),
+    repair:         true,
+    responseFormat: DECK_RESPONSE_FORMAT,
+    onRepair:       (attempt) => console.error(`Repairing deck legality (attempt ${attempt})...`),
+  });
+
+  if (!parsed.deck) {
+    console.error(parsed.schemaErrors ? `The reply didn't match the deck format:\n${parsed.schemaErrors.join('\n')}` : reply);
+    return 1;
+  }
+
+  const deckText = `${formatDeckText(parsed)}\n`;
+  if (opts.out) {
+    await writeFile(opts.out, deckText);
+    console.error(`Wrote ${opts.out}`);
+  } else {
+    process.stdout.write(deckText);
+  }
+  if (parsed.explanation) console.error(`\n${parsed.explanation}`);
+  console.error(`\n${formatReport(report)}`);
+  return report.valid ? 0 : 1;
+}
+
+async function stats(opts, deckFile) {
+  const pool = await loadPool(opts);
+  const deck = await loadDeck(deckFile, pool);
+  const limited = opts.pool ? await loadLimitedPool(opts.pool, pool) : null;
+  const colors = opts.colors ? parseColors(opts.colors) : deckColorIdentity(deck, pool);
+  const totals = computeDeckStats(deck, pool);
+  const mana   = analyzeManaBase(deck, pool, colors, { limited });
+
+  const deckSize = limited ? null : FORMAT_CONFIG[opts.format].deckSize;
+  const lines = [
+    ...(deck.commander ? [`Commander    ${deck.commander.map(e => e.name).join(', ')}`] : []),
+    `Total Cards  ${totals.totalCards}${deckSize ? ` / ${deckSize}` : ''}`,
+    `Creatures    ${totals.creatures}`,
+    `Spells       ${totals.spells}`,
+    `Lands        ${totals.lands}`,
+    '',
+    'Mana Curve',
+    ...CURVE_BUCKETS.map(k => `  ${k.padEnd(3)} ${'#'.repeat(totals.curve[k] || 0)} ${totals.curve[k] || 0}`),
+  ];
+  if (mana.colors.length > 0) {
+    lines.push('', 'Mana Base (sources / needed)');
+    for (const c of mana.colors) {
+      const producers = c.producers ? ` incl. ${c.producers} producer${c.producers === 1 ? '' : 's'}` : '';
+      const soft = c.softRequired > c.required ? ` (${c.softRequired} with Phyrexian/{2/${c.color}} pips)` : '';
+      lines.push(`  ${c.color}  ${c.total}${producers} / ${c.required}${soft} for ${c.card} ${c.cost}${c.shortfall ? `  (short ${c.shortfall})` : ''}`);
+    }
+    for (const swap of mana.swaps) lines.push(`  swap: -${swap.count} ${swap.out} / +${swap.count} ${swap.in}`);
+  }
+
+  const roles = analyzeDeckRoles(deck, pool, opts.archetype);
+  lines.push('', `Roles (${opts.archetype} targets)`);
+  for (const t of roles.targets) lines.push(`  ${t.label.padEnd(14)} ${t.count} / ${t.target}${t.short ? `  (short ${t.short})` : ''}`);
+  for (const [role, label] of Object.entries(DECK_ROLES)) {
+    if (!roles.targets.some(t => t.role === role) && roles.roles[role] > 0) lines.push(`  ${label.padEnd(14)} ${roles.roles[role]}`);
+  }
+  if (roles.packages.length > 0) {
+    lines.push('', 'Packages (* payoff)');
+    for (const p of roles.packages) {
+      lines.push(`  ${p.label} (${p.copies}): ${p.cards.map(c => c.kind === 'payoff' ? `${c.name}*` : c.name).join(', ')}`);
+    }
+    if (roles.orphans.length > 0) lines.push(`  orphans: ${roles.orphans.join(', ')}`);
+  }
+  console.log(lines.join('\n'));
+  return 0;
+}
+
+async function validate(opts, deckFile) {
+  const pool = await loadPool(opts);
+  const deck = await loadDeck(deckFile, pool);
+  const limited = opts.pool ? await loadLimitedPool(opts.pool, pool) : null;
+  const colors = opts.colors ? parseColors(opts.colors) : deckColorIdentity(deck, pool);
+  const report = validateDeck(deck, { pool, ...colorRequest(opts, colors), bo3: opts.bo3 || Boolean(deck.sideboard), limited });
+  console.log(formatReport(report));
+  return report.valid ? 0 : 1;
+}
+
+// The meta snapshot for --format (or --meta), checked against META_FILE_SCHEMA
+async function loadMeta(opts) {
+  const file = opts.meta || new URL(`../meta/${opts.format}-meta.json`, import.meta.url);
+  const name = opts.meta || `meta/${opts.format}-meta.json`;
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch {
+    throw new Error(`No meta data found for ${FORMAT_CONFIG[opts.format].displayName}. Add a meta/${opts.format}-meta.json file or pass --meta.`);
+  }
+  let meta;
+  try {
+    meta = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+  const errors = validateMetaData(meta, name);
+  if (errors.length > 0) throw new Error(`${name} doesn't match the meta file format:\n  ${errors.join('\n  ')}`);
+  return { meta, file, name };
+}
+
+async function metaCheck(opts, deckFile) {
+  const { meta } = await loadMeta(opts);
+  const pool = await loadPool(opts);
+  const deck = await loadDeck(deckFile, pool);
+  const report = analyzeMetaMatchups(deck, pool, meta);
+  console.log(formatMatchupTable(report));
+  if (opts['table-only']) return 0;
+
+  const reply = await chatClient(opts)([
+    { role: 'system', content: buildSystemPrompt(FORMAT_CONFIG[opts.format].displayName, deckRules(opts.format)) },
+    { role: 'user',   content: buildMetaCheckPrompt(meta, formatDeckText(deck), report) },
+  ]);
+  console.log(`\n${reply}`);
+  return 0;
+}
+
+// Writes the most-played nonland cards of a real list for a meta deck into
+// the snapshot, so matchups compare cards and not just colors
+async function metaKeys(opts, deckFile) {
+  if (!opts['meta-deck']) throw new UsageError('meta-keys needs --meta-deck (the meta deck the list belongs to)');
+  const { meta, file, name } = await loadMeta(opts);
+  const target = opts['meta-deck'].toLowerCase();
+  const entry = meta.tiers.flatMap(t => t.decks).find(d => d.name.toLowerCase() === target);
+  if (!entry) throw new UsageError(`${name} has no meta deck named "${opts['meta-deck']}"`);
+
+  const pool = await loadPool(opts);
+  const deck = await loadDeck(deckFile, pool);
+  entry.keyCards = metaKeyCards(deck, pool);
+  if (opts['meta-type']) entry.archetype = opts['meta-type'];
+  if (opts.description) entry.description = opts.description;
+
+  const errors = validateMetaData(meta, name);
+  if (errors.length > 0) throw new Error(`The updated ${name} doesn't match the meta file format:\n  ${errors.join('\n  ')}`);
+  await writeFile(file, `${JSON.stringify(meta, null, 2)}\n`);
+
+  const listed = meta.tiers.flatMap(t => t.decks).filter(d => d.keyCards?.length).length;
+  const total  = meta.tiers.reduce((n, t) => n + t.decks.length, 0);
+  console.error(`${entry.name}: ${entry.keyCards.join(', ')}`);
+  console.error(`Wrote ${name} (key cards listed for ${listed} of ${total} meta decks)`);
+  return 0;
+}
+
+// Plain-text version of the web app's legality panel
+function formatReport(report) {
+  const lines = [report.valid ? 'Legal' : `Not Legal — ${report.violations.length} issue${report.violations.length === 1 ? '' : 's'}`];
+  for (const check of report.checks) {
+    lines.push(`${check.problems.length === 0 ? '✓' : '✗'} ${check.label}: ${check.detail}`);
+    for (const problem of check.problems) lines.push(`    ${problem.message}`);
+  }
+  return lines.join('\n');
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : `Error: ${err.message}`);
+    process.exitCode = 2;
+  },
+);
@@ -6,6 +6,10 @@ Skips SQLite entirely — processes the bulk JSON in a single pass and writes:
     data/cards-historic.json
     data/cards-explorer.json
     data/cards-alchemy.json
+    data/cards-brawl.json
+    data/cards-historicbrawl.json
+    data/cards-manifest.json   (version hash + date per format, read by the app
+                                to detect newer card data)
 
 All formats are MTG Arena only (arena_only=True).
 
@@ -13,10 +17,12 @@ Usage:
     python scripts/build_cards.py
 """
 
+import hashlib
 import json
 import sys
 import time
 from collections import defaultdict
+from datetime import datetime, timezone
 from pathlib import Path
 
 import requests
@@ -32,12 +38,15 @@ DATA_DIR.mkdir(exist_ok=True)
 BULK_TYPE = "default_cards"
 BULK_ENDPOINT = "https://api.scryfall.com/bulk-data"
 
-# (legality_field, arena_only) — all MTG Arena formats
+# (legality_field, arena_only) — all MTG Arena formats. Scryfall calls
+# Arena's Brawl "standardbrawl"; its "brawl" field is Historic Brawl.
 FORMATS = {
-    "standard": ("standard", True),
-    "historic":  ("historic",  True),
-    "explorer":  ("explorer",  True),
-    "alchemy":   ("alchemy",   True),
+    "standard":      ("standard",      True),
+    "historic":      ("historic",      True),
+    "explorer":      ("explorer",      True),
+    "alchemy":       ("alchemy",       True),
+    "brawl":         ("standardbrawl", True),
+    "historicbrawl": ("brawl",         True),
 }
 
 # ---------------------------------------------------------------------------
@@ -135,9 +144,14 @@ def process(bulk_path: Path):
                     "oracle_text":    c.get("oracle_text") or "",
                     "keywords":       c.get("keywords") or [],
                     "set_name":       c.get("set_name") or "",
+                    "set":            c.get("set") or "",
+                    "collector_number": c.get("collector_number") or "",
+                    "mtgo_id":        c.get("mtgo_id"),
                 }
 
     print("\nExporting per-format JSON files...")
+    generated_at = datetime.now(timezone.utc).isoformat(timespec="seconds")
+    manifest = {"generated_at": generated_at, "formats": {}}
     for fmt_name in FORMATS:
         cards_out = sorted(
             (
@@ -150,10 +164,21 @@ def process(bulk_path: Path):
         )
 
         out = DATA_DIR / f"cards-{fmt_name}.json"
-        with open(out, "w", encoding="utf-8") as f:
-            json.dump(cards_out, f, ensure_ascii=False, separators=(",", ":"))
+        payload = json.dumps(cards_out, ensure_ascii=False, separators=(",", ":")).encode("utf-8")
+        out.write_bytes(payload)
         print(f"  {fmt_name}: {len(cards_out):,} cards → {out} ({out.stat().st_size / 1e6:.1f} MB)")
 
+        manifest["formats"][fmt_name] = {
+            "version":    hashlib.sha256(payload).hexdigest()[:16],
+            "updated_at": generated_at,
+            "count":      len(cards_out),
+        }
+
+    manifest_path = DATA_DIR / "cards-manifest.json"
+    with open(manifest_path, "w", encoding="utf-8") as f:
+        json.dump(manifest, f, indent=2)
+    print(f"  manifest → {manifest_path}")
+
 # ---------------------------------------------------------------------------
 # Main
 # ---------------------------------------------------------------------------
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// ============================================================
+// Mock Chat Completions upstream for local proxy testing
+// ============================================================
+// Answers POST /v1/chat/completions with a canned reply, either as one JSON
+// body or, for `stream: true`, as server-sent event chunks the way OpenAI
+// sends them. Point the proxy's OPENAI_BASE_URL at it to exercise
+// functions/api/chat.js and functions/lib/providers.js without an API key:
+//
+//   node scripts/mock-upstream.mjs --port 8789 --reply reply.json
+//   wrangler pages dev . --binding OPENAI_API_KEY=mock --binding OPENAI_BASE_URL=http://localhost:8789/v1
+//
+// --reply is a file whose text becomes the assistant message (by default a
+// short JSON object). --delay sets the pause between stream chunks in ms.
+// --status makes every request fail with that HTTP status and an
+// OpenAI-style error body.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+export const DEFAULT_REPLY = JSON.stringify({ reply: 'Mock upstream reply.' });
+
+// Characters per streamed content chunk
+const CHUNK_SIZE = 24;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Every request the server answered is pushed onto `server.requests` (the
+// parsed JSON body), so a test can check what the proxy sent upstream
+export function createMockUpstream({ reply = DEFAULT_REPLY, delay = 0, status = 200 } = {}) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      return sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}`, type: 'invalid_request_error' } });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch {
+      return sendJson(res, 400, { error: { message: 'Request body is not JSON', type: 'invalid_request_error' } });
+    }
+    requests.push(body);
+
+    if (status !== 200) {
+      return sendJson(res, status, { error: { message: `Mock upstream error (HTTP ${status})`, type: 'server_error' } });
+    }
+
+    const id = `chatcmpl-mock-${requests.length}`;
+    if (!body.stream) {
+      return sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0 },
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const send = (data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    const chunk = (delta, finish = null) =>
+      ({ id, object: 'chat.completion.chunk', model: body.model, choices: [{ index: 0, delta, finish_reason: finish }] });
+
+    send(chunk({ role: 'assistant', content: '' }));
+    for (let i = 0; i < reply.length; i += CHUNK_SIZE) {
+      if (res.destroyed) return;
+      if (delay) await new Promise(r => setTimeout(r, delay));
+      send(chunk({ content: reply.slice(i, i + CHUNK_SIZE) }));
+    }
+    send(chunk({}, 'stop'));
+    send('[DONE]');
+    res.end();
+  });
+  server.requests = requests;
+  return server;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port:   { type: 'string', default: '8789' },
+      reply:  { type: 'string' },
+      delay:  { type: 'string', default: '0' },
+      status: { type: 'string', default: '200' },
+    },
+  });
+  const reply = values.reply ? await readFile(values.reply, 'utf8') : DEFAULT_REPLY;
+  const server = createMockUpstream({
+    reply,
+    delay:  parseInt(values.delay, 10) || 0,
+    status: parseInt(values.status, 10) || 200,
+  });
+  const port = parseInt(values.port, 10);
+  server.listen(port, () => {
+    console.log(`Mock upstream listening on http://localhost:${port}/v1`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,49 @@
+// ============================================================
+// Service Worker — offline app shell
+// ============================================================
+// Card pools are cached in IndexedDB by app.js (see loadCardsForFormat), so
+// the worker only handles same-origin GETs: the shell files and meta
+// snapshots. Requests go to the network first so deploys show up right
+// away; the cache answers when offline.
+
+const SHELL_CACHE = 'arena-forge-shell-v3';
+const SHELL_FILES = ['/', '/index.html', '/app.js', '/lib/deck-core.mjs', '/lib/chat-limits.mjs', '/styles.css'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(request, copy)));
+        }
+        return response;
+      })
+      .catch(async () => {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return caches.match('/index.html');
+        return Response.error();
+      })
+  );
+});
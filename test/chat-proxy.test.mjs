@@ -0,0 +1,120 @@
+// /api/chat against scripts/mock-upstream.mjs via OPENAI_BASE_URL
+//   node --test test/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { onRequestPost } from '../functions/api/chat.js';
+import { MemoryStore } from '../functions/lib/policy.js';
+import { createMockUpstream } from '../scripts/mock-upstream.mjs';
+
+const SITE  = 'http://localhost:8788';
+const REPLY = JSON.stringify({ reply: 'Swap two Shocks for Lightning Strike.', changes: [] });
+
+let upstream, failing, anthropic;
+let okUrl, failUrl, anthropicUrl;
+
+// Anthropic Messages stream with CRLF line endings and one truncated frame
+const ANTHROPIC_EVENTS = [
+  { type: 'message_start', message: { id: 'msg_mock' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Swap two ' } },
+  '{"type": "content_block_delta", "index": 0, "delta": {"type": "text_del',
+  { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Shocks.' } },
+  { type: 'message_stop' },
+];
+
+const anthropicStream = () => createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of ANTHROPIC_EVENTS) {
+      const data = typeof event === 'string' ? event : JSON.stringify(event);
+      res.write(`event: ${event.type || 'content_block_delta'}\r\ndata: ${data}\r\n\r\n`);
+    }
+    res.end();
+  });
+});
+
+const listen = async (server) => {
+  server.listen(0);
+  await once(server, 'listening');
+  return `http://localhost:${server.address().port}/v1`;
+};
+
+before(async () => {
+  upstream = createMockUpstream({ reply: REPLY });
+  failing  = createMockUpstream({ status: 503 });
+  anthropic = anthropicStream();
+  okUrl    = await listen(upstream);
+  failUrl  = await listen(failing);
+  anthropicUrl = await listen(anthropic);
+});
+
+after(() => {
+  upstream.close();
+  failing.close();
+  anthropic.close();
+});
+
+function callProxy(body, baseUrl = okUrl, extraEnv = {}) {
+  const request = new Request(`${SITE}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Origin': SITE },
+    body: JSON.stringify(body),
+  });
+  const env = { OPENAI_API_KEY: 'mock', OPENAI_BASE_URL: baseUrl, RATE_LIMIT_KV: new MemoryStore(), ...extraEnv };
+  return onRequestPost({ request, env });
+}
+
+const messages = [{ role: 'user', content: 'Make the deck faster.' }];
+
+test('buffered replies come back as one Chat Completions body', async () => {
+  const res = await callProxy({ model: 'gpt-5.4', messages, temperature: 0.4 });
+  assert.equal(res.status, 200);
+  const json = await res.json();
+  assert.equal(json.choices[0].message.content, REPLY);
+
+  const sent = upstream.requests.at(-1);
+  assert.equal(sent.model, 'gpt-5.4');
+  assert.equal(sent.temperature, 0.4);
+  assert.equal(sent.max_completion_tokens, 4000);
+  assert.deepEqual(sent.messages, messages);
+});
+
+test('streamed replies are relayed as server-sent events', async () => {
+  const res = await callProxy({ model: 'gpt-5.4', messages, stream: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('Content-Type'), 'text/event-stream');
+
+  const events = (await res.text()).split('\n\n').filter(Boolean).map(e => e.replace(/^data: /, ''));
+  assert.equal(events.at(-1), '[DONE]');
+  const content = events.slice(0, -1).map(e => JSON.parse(e).choices[0].delta.content || '').join('');
+  assert.equal(content, REPLY);
+});
+
+test('an unreadable Anthropic stream event ends the stream with upstream_error', async () => {
+  const res = await callProxy({ model: 'claude-haiku-4-5', messages, stream: true }, okUrl,
+    { ANTHROPIC_API_KEY: 'mock', ANTHROPIC_BASE_URL: anthropicUrl });
+  assert.equal(res.status, 200);
+
+  const events = (await res.text()).split('\n\n').filter(Boolean).map(e => JSON.parse(e.replace(/^data: /, '')));
+  assert.deepEqual(events.map(e => e.choices?.[0].delta.content ?? e.error.code), ['Swap two ', 'upstream_error']);
+  assert.equal(events[1].error.message, 'Upstream sent an unreadable stream event');
+});
+
+test('upstream errors are normalized to { error: { code, message } }', async () => {
+  const res = await callProxy({ model: 'gpt-5.4', messages }, failUrl);
+  assert.equal(res.status, 503);
+  const { error } = await res.json();
+  assert.equal(error.code, 'upstream_error');
+  assert.match(error.message, /HTTP 503/);
+});
+
+test('models outside the allowlist never reach the upstream', async () => {
+  const before = upstream.requests.length;
+  const res = await callProxy({ model: 'gpt-3.5-turbo', messages });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'model_not_allowed');
+  assert.equal(upstream.requests.length, before);
+});
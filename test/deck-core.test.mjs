@@ -0,0 +1,219 @@
+// Parsing, change lists and legality checks in lib/deck-core.mjs
+//   node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  indexCardPool, parseDeckList, parseDeckResponse, parseDeckChanges, parseArenaImport, importedDeck, applyDeckChanges, validateDeck,
+  requestValidatedDeck,
+} from '../lib/deck-core.mjs';
+
+const card = (name, type_line, mana_cost, color_identity, extra = {}) => ({
+  name, type_line, mana_cost, color_identity, cmc: (mana_cost.match(/\{/g) || []).length, rarity: 'common', oracle_text: '', keywords: [], ...extra,
+});
+
+const RAW_CARDS = [
+  card('Mountain', 'Basic Land — Mountain', '', ['R']),
+  card('Island', 'Basic Land — Island', '', ['U']),
+  card('Forest', 'Basic Land — Forest', '', ['G']),
+  card('Shock', 'Instant', '{R}', ['R'], { oracle_text: 'Shock deals 2 damage to any target.' }),
+  card('Opt', 'Instant', '{U}', ['U'], { oracle_text: 'Scry 1. Draw a card.' }),
+  card('Llanowar Elves', 'Creature — Elf Druid', '{G}', ['G'], { oracle_text: '{T}: Add {G}.' }),
+  card('Fable of the Mirror-Breaker // Reflection of Kiki-Jiki', 'Enchantment — Saga // Enchantment Creature — Goblin Shaman', '{2}{R}', ['R']),
+  card('Ral, Monsoon Mage // Ral, Leyline Prodigy', 'Legendary Creature — Human Wizard // Legendary Planeswalker — Ral', '{1}{R}', ['U', 'R']),
+];
+const standard = indexCardPool('standard', RAW_CARDS);
+const brawl    = indexCardPool('brawl', RAW_CARDS);
+
+const count = (list) => list.reduce((n, e) => n + e.count, 0);
+
+test('parseDeckList reads Arena sections and resolves IDs', () => {
+  const parsed = parseDeckList('Deck\n4 C1\n2x Opt\n\nSideboard\n3 C2', { C1: 'Shock', C2: 'Llanowar Elves' });
+  assert.deepEqual(parsed.deck, [{ count: 4, name: 'Shock' }, { count: 2, name: 'Opt' }]);
+  assert.deepEqual(parsed.sideboard, [{ count: 3, name: 'Llanowar Elves' }]);
+});
+
+test('parseDeckList keeps the text after the main deck as the explanation', () => {
+  const parsed = parseDeckList('Deck\n4 Shock\n56 Mountain\n---\nBurn them out early.\nKeep two-landers.');
+  assert.equal(parsed.sideboard, null);
+  assert.equal(parsed.explanation, 'Burn them out early.\nKeep two-landers.');
+});
+
+test('parseDeckList returns no deck for text without a list', () => {
+  assert.deepEqual(parseDeckList('I cannot build that deck.'), { deck: null });
+});
+
+test('parseDeckResponse resolves IDs from a structured reply', () => {
+  const text = JSON.stringify({
+    deck:      [{ id: 'C1', count: 4, reason: 'Cheap removal' }],
+    sideboard: [],
+    companion: null,
+    strategy:  'Aggro.',
+  });
+  const parsed = parseDeckResponse(text, { C1: 'Shock' });
+  assert.deepEqual(parsed.deck, [{ count: 4, name: 'Shock', reason: 'Cheap removal' }]);
+  assert.equal(parsed.sideboard, null);
+  assert.equal(parsed.explanation, 'Aggro.\n\nCard choices:\n• Shock — Cheap removal');
+});
+
+test('parseDeckResponse reports schema errors instead of guessing', () => {
+  const parsed = parseDeckResponse('```json\n{"deck": [{"id": "Shock", "count": 0}], "strategy": "x"}\n```', {});
+  assert.equal(parsed.deck, null);
+  assert.ok(parsed.schemaErrors.includes('response.sideboard is missing'));
+  assert.ok(parsed.schemaErrors.some(e => e.startsWith('response.deck[0].id "Shock" does not match')));
+  assert.ok(parsed.schemaErrors.includes('response.deck[0].count should be at least 1'));
+});
+
+test('parseDeckResponse reports IDs that are not in the card list', () => {
+  const text = JSON.stringify({ deck: [{ id: 'C1', count: 4, reason: 'a' }, { id: 'C99', count: 2, reason: 'b' }], sideboard: [], companion: 'C7', strategy: 'x' });
+  assert.deepEqual(parseDeckResponse(text, { C1: 'Shock' }), {
+    deck: null,
+    schemaErrors: [
+      'response.deck[1].id "C99" is not a card ID from the list',
+      'response.companion "C7" is not a card ID from the list',
+    ],
+  });
+  assert.deepEqual(parseDeckResponse('Deck\n4 C1\n2 C99', { C1: 'Shock' }), {
+    deck: null,
+    schemaErrors: ['"2 C99": C99 is not a card ID from the list'],
+  });
+});
+
+test('parseDeckResponse falls back to the Arena text parser', () => {
+  const parsed = parseDeckResponse('Deck\n4 C1', { C1: 'Shock' });
+  assert.deepEqual(parsed.deck, [{ count: 4, name: 'Shock' }]);
+});
+
+test('parseArenaImport resolves set suffixes and front faces', () => {
+  const { parsed, problems } = parseArenaImport(
+    'Deck\n4 Shock (M21) 159\n2 Fable of the Mirror-Breaker (NEO) 141\n\nSideboard\n1 Opt',
+    standard,
+  );
+  assert.deepEqual(problems, []);
+  assert.deepEqual(parsed.deck, [
+    { count: 4, name: 'Shock' },
+    { count: 2, name: 'Fable of the Mirror-Breaker // Reflection of Kiki-Jiki' },
+  ]);
+  assert.deepEqual(parsed.sideboard, [{ count: 1, name: 'Opt' }]);
+});
+
+test('parseArenaImport treats a blank line in a headerless export as the sideboard break', () => {
+  const { parsed } = parseArenaImport('4 Shock\n\n2 Opt', standard);
+  assert.deepEqual(importedDeck(parsed), {
+    deck:      [{ count: 4, name: 'Shock' }],
+    sideboard: [{ count: 2, name: 'Opt' }],
+    commander: null,
+    companion: null,
+  });
+});
+
+test('parseArenaImport reports unreadable and unresolved lines by line number', () => {
+  const { parsed, problems } = parseArenaImport('Deck\nfour Shocks\n3 Shokc\n1 Lightning Bolt', standard);
+  assert.deepEqual(problems.map(p => [p.line, p.kind]), [[2, 'unreadable'], [3, 'unresolved'], [4, 'unresolved']]);
+  assert.deepEqual(parsed.deck, [{ count: 3, name: 'Shokc' }, { count: 1, name: 'Lightning Bolt' }]);
+});
+
+test('parseArenaImport suggests the pool card a typo most likely meant', () => {
+  const { problems } = parseArenaImport('3 Shokc\n1 Lanowar Elvs\n1 Lightning Bolt', standard);
+  assert.deepEqual(problems.map(p => p.suggestion), ['Shock', 'Llanowar Elves', null]);
+  assert.equal(problems[0].message, '"Shokc" is not in the Standard card pool; did you mean Shock?');
+  assert.equal(problems[2].message, '"Lightning Bolt" is not in the Standard card pool (not legal in Standard, or misspelled)');
+});
+
+test('parseDeckChanges reports IDs that are not in the card list', () => {
+  const text = JSON.stringify({
+    changes: [
+      { action: 'add', id: 'C1', count: 1, section: 'deck', reason: 'Reach' },
+      { action: 'remove', id: 'C42', count: 1, section: 'deck', reason: 'Slow' },
+    ],
+    reply: 'Swapped one card.',
+  });
+  assert.deepEqual(parseDeckChanges(text, { C1: 'Shock' }), {
+    changes: null,
+    schemaErrors: ['response.changes[1].id "C42" is not a card ID from the list'],
+  });
+});
+
+test('applyDeckChanges edits a copy and skips removals of missing cards', () => {
+  const deck = { deck: [{ count: 4, name: 'Shock' }, { count: 2, name: 'Opt' }], sideboard: null };
+  const { deck: next, skipped } = applyDeckChanges(deck, [
+    { action: 'remove', name: 'Opt', count: 2, section: 'deck' },
+    { action: 'add', name: 'Shock', count: 1, section: 'deck' },
+    { action: 'add', name: 'Llanowar Elves', count: 2, section: 'sideboard', reason: 'Ramp' },
+    { action: 'remove', name: 'Island', count: 1, section: 'deck' },
+  ]);
+  assert.deepEqual(next.deck, [{ count: 5, name: 'Shock' }]);
+  assert.deepEqual(next.sideboard, [{ count: 2, name: 'Llanowar Elves', reason: 'Ramp' }]);
+  assert.deepEqual(skipped.map(s => s.message), ["Island isn't in the main deck"]);
+  assert.deepEqual(deck.deck, [{ count: 4, name: 'Shock' }, { count: 2, name: 'Opt' }]);
+});
+
+test('validateDeck passes a legal 60-card deck', () => {
+  const parsed = { deck: [{ count: 4, name: 'Shock' }, { count: 56, name: 'Mountain' }], sideboard: null };
+  const report = validateDeck(parsed, { pool: standard, colors: new Set(['R']), bo3: false });
+  assert.equal(report.valid, true);
+});
+
+test('validateDeck flags size, copies, pool and colors', () => {
+  const parsed = {
+    deck: [{ count: 5, name: 'Shock' }, { count: 4, name: 'Opt' }, { count: 1, name: 'Lightning Bolt' }, { count: 40, name: 'Mountain' }],
+    sideboard: [{ count: 16, name: 'Mountain' }],
+  };
+  const report = validateDeck(parsed, { pool: standard, colors: new Set(['R']), bo3: true });
+  const problems = Object.fromEntries(report.checks.map(c => [c.label, c.problems.map(p => p.message)]));
+  assert.equal(report.valid, false);
+  assert.deepEqual(problems['Main Deck Size'], ['Main deck has 50 cards; it must have exactly 60']);
+  assert.deepEqual(problems['Copy Limit'], ['5 copies of Shock (max 4)']);
+  assert.deepEqual(problems['Sideboard Size'], ['Sideboard has 16 cards; the limit is 15']);
+  assert.deepEqual(problems['Card Pool'], ['Lightning Bolt is not in the Standard card pool']);
+  assert.deepEqual(problems['Color Identity'], ['Opt (U) is outside the selected colors']);
+});
+
+test('validateDeck lets pinned cards sit outside the colors', () => {
+  const parsed = { deck: [{ count: 4, name: 'Opt' }, { count: 56, name: 'Mountain' }], sideboard: null };
+  const report = validateDeck(parsed, { pool: standard, colors: new Set(['R']), bo3: false, include: { Opt: 4 } });
+  assert.equal(report.valid, true);
+});
+
+test("validateDeck checks Brawl decks against the commander's identity", () => {
+  const commander = [{ count: 1, name: 'Ral, Monsoon Mage // Ral, Leyline Prodigy' }];
+  const parsed = {
+    commander,
+    deck: [{ count: 1, name: 'Shock' }, { count: 1, name: 'Opt' }, { count: 2, name: 'Llanowar Elves' }, { count: 54, name: 'Mountain' }, { count: 1, name: 'Forest' }],
+    sideboard: null,
+  };
+  const report = validateDeck(parsed, { pool: brawl, colors: new Set(), bo3: false });
+  const problems = Object.fromEntries(report.checks.map(c => [c.label, c.problems.map(p => p.message)]));
+  assert.equal(count(parsed.deck), 59);
+  assert.deepEqual(problems.Commander, []);
+  assert.deepEqual(problems['Copy Limit'], ['2 copies of Llanowar Elves (max 1)']);
+  assert.deepEqual(problems['Color Identity'], [
+    "Llanowar Elves (G) is outside the commander's color identity",
+    "Forest (G) is outside the commander's color identity",
+  ]);
+});
+
+test('validateDeck applies Limited rules with pool counts', () => {
+  const parsed = { deck: [{ count: 2, name: 'Shock' }, { count: 38, name: 'Mountain' }], sideboard: [{ count: 1, name: 'Opt' }] };
+  const report = validateDeck(parsed, { pool: standard, colors: new Set(['R']), bo3: false, limited: { Shock: 1, Opt: 1 } });
+  assert.deepEqual(report.violations.map(v => v.message), ['2 copies of Shock; your pool has 1']);
+});
+
+test('requestValidatedDeck sends schema errors back for another try', async () => {
+  const replies = [
+    JSON.stringify({ deck: [{ id: 'C9', count: 60, reason: 'a' }], sideboard: [], companion: null, strategy: 'x' }),
+    JSON.stringify({ deck: [{ id: 'C1', count: 60, reason: 'a' }], sideboard: [], companion: null, strategy: 'x' }),
+  ];
+  const sent = [];
+  const { parsed, report } = await requestValidatedDeck([{ role: 'user', content: 'Build' }], {
+    complete:     async (conversation) => { sent.push(conversation); return replies[sent.length - 1]; },
+    parse:        (text) => parseDeckResponse(text, { C1: 'Mountain' }),
+    validate:     (p) => validateDeck(p, { pool: standard, colors: new Set(['R']), bo3: false }),
+    repairPrompt: () => assert.fail('the deck was never read, so there is nothing to validate'),
+    repair:       true,
+  });
+  assert.equal(sent.length, 2);
+  assert.match(sent[1].at(-1).content, /response\.deck\[0\]\.id "C9" is not a card ID from the list/);
+  assert.deepEqual(parsed.deck, [{ count: 60, name: 'Mountain', reason: 'a' }]);
+  assert.equal(report.valid, true);
+});